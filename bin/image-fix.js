@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+// Command-line front end for the Node pipeline.
+//
+//   image-fix in/*.jpg --resize width:1200 --max-size 500k --out dist/
+
+import { parseArgs } from 'node:util';
+import { mkdir, readFile, stat, writeFile } from 'node:fs/promises';
+import { basename, dirname, extname, join } from 'node:path';
+import { processFile } from '../src/node/index.js';
+import { ImageProcessor } from '../src/core/ImageProcessor.js';
+import { ExifParser } from '../src/core/ExifParser.js';
+import {
+  DEFAULT_TEMPLATE, TEMPLATE_TOKENS, findUnknownTokens, formatFileName, formatExifDate, createUniquePaths
+} from '../src/core/FileNaming.js';
+
+const USAGE = `Usage: image-fix <files...> [options]
+
+Fixes EXIF orientation and optionally resizes and recompresses images.
+Reads JPEG, PNG, HEIC and TIFF; writes JPEG or PNG.
+Outputs are named <name>_fixed.<ext> unless --name is given, like the web app's downloads.
+
+Options:
+  --resize <spec>       width:W | height:H | fit:WxH | force:WxH | cover:WxH | pad:WxH
+  --max-size <size>     Target file size, e.g. 500k, 2m or bytes
+  --min-quality <q>     Quality floor for --max-size, 1-100 (default 60);
+                        below it the image is scaled down instead
+  --format <format>     auto (default), smallest, jpeg, png
+  --out <dir>           Output directory (default: next to each input)
+  --name <template>     Output file name, default ${DEFAULT_TEMPLATE}. Tokens:
+${Object.entries(TEMPLATE_TOKENS).map(([token, description]) => `                          ${`{${token}}`.padEnd(9)}${description}`).join('\n')}
+  --rotate <degrees>    Extra clockwise rotation: 90, 180, 270
+  --flip-h, --flip-v    Mirror the upright image (before --rotate)
+  --no-auto-fix         Ignore the EXIF orientation
+  --keep-exif           Copy EXIF/XMP/ICC to the output (Orientation reset to 1)
+  --lossless            Rotate JPEGs without re-encoding when nothing else changes
+  --resampling <mode>   browser (default), halving, bicubic, lanczos3
+  --sharpen             Unsharp mask after downscaling
+  --pad-color <color>   Background for pad:WxH, #rrggbb or transparent
+  --focal <x,y>         Crop center for cover:WxH, 0-1 (default 0.5,0.5)
+  -q, --quiet           Only print errors
+  -h, --help            Show this help`;
+
+const RESIZE_MODES = {
+  width: 'width',
+  height: 'height',
+  fit: 'both-fit',
+  force: 'both-force',
+  cover: 'both-cover',
+  pad: 'both-pad'
+};
+
+const SIZE_UNITS = { '': 1, b: 1, k: 1024, kb: 1024, m: 1024 * 1024, mb: 1024 * 1024 };
+
+/**
+ * Converts the CLI flags to ImageProcessor.process options.
+ * @throws {Error} On malformed values
+ */
+function buildOptions(values) {
+  const options = {
+    manualRotation: 0,
+    flipHorizontal: values['flip-h'],
+    flipVertical: values['flip-v'],
+    autoFix: !values['no-auto-fix'],
+    stripExif: !values['keep-exif'],
+    lossless: values.lossless,
+    exportFormat: values.format,
+    resampling: values.resampling,
+    sharpen: values.sharpen,
+    padColor: values['pad-color']
+  };
+
+  if (!['auto', 'smallest', 'jpeg', 'png'].includes(options.exportFormat)) {
+    throw new Error(`Unknown format "${options.exportFormat}"`);
+  }
+  if (!['browser', 'halving', 'bicubic', 'lanczos3'].includes(options.resampling)) {
+    throw new Error(`Unknown resampling "${options.resampling}"`);
+  }
+
+  if (values.rotate) {
+    const rotation = Number(values.rotate);
+    if (![0, 90, 180, 270].includes(rotation)) throw new Error(`--rotate must be 0, 90, 180 or 270`);
+    options.manualRotation = rotation;
+  }
+
+  if (values.resize) {
+    const match = /^(\w+):(\d+)(?:x(\d+))?$/.exec(values.resize);
+    const mode = match && RESIZE_MODES[match[1]];
+    if (!mode) throw new Error(`Invalid --resize "${values.resize}"`);
+    options.resizeMode = mode;
+    if (mode === 'width') {
+      options.targetWidth = Number(match[2]);
+    } else if (mode === 'height') {
+      options.targetHeight = Number(match[2]);
+    } else if (match[3]) {
+      options.targetWidth = Number(match[2]);
+      options.targetHeight = Number(match[3]);
+    } else {
+      throw new Error(`--resize ${match[1]} needs WxH`);
+    }
+  }
+
+  if (values['max-size']) {
+    const match = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i.exec(values['max-size']);
+    const unit = match && SIZE_UNITS[match[2].toLowerCase()];
+    if (!unit) throw new Error(`Invalid --max-size "${values['max-size']}"`);
+    options.maxSizeBytes = Math.floor(Number(match[1]) * unit);
+  }
+
+  if (values['min-quality']) {
+    const quality = Number(values['min-quality']);
+    if (!(quality >= 1 && quality <= 100)) throw new Error(`--min-quality must be 1-100`);
+    options.minQuality = quality / 100;
+  }
+
+  if (values.focal) {
+    const [x, y] = values.focal.split(',').map(Number);
+    if (!(x >= 0 && x <= 1 && y >= 0 && y <= 1)) throw new Error(`Invalid --focal "${values.focal}"`);
+    options.focalPoint = { x, y };
+  }
+
+  return options;
+}
+
+/**
+ * {date} for an input: EXIF DateTimeOriginal, else the file's modification date.
+ */
+async function readDate(input) {
+  try {
+    const metadata = await ExifParser.parse(new File([await readFile(input)], basename(input)));
+    const date = formatExifDate(metadata && metadata.exif && metadata.exif.DateTimeOriginal);
+    if (date) return date;
+  } catch {
+    // Malformed EXIF: fall back to the file date
+  }
+  return formatExifDate((await stat(input)).mtimeMs);
+}
+
+async function outputPath(input, result, { template, index, total, outDir }) {
+  const name = formatFileName(template, {
+    name: basename(input, extname(input)),
+    index,
+    total,
+    width: result.width,
+    height: result.height,
+    date: template.includes('{date}') ? await readDate(input) : '',
+    ext: ImageProcessor.getExtension(result.mimeType, basename(input))
+  });
+  return join(outDir || dirname(input), name);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      resize: { type: 'string' },
+      'max-size': { type: 'string' },
+      'min-quality': { type: 'string' },
+      format: { type: 'string', default: 'auto' },
+      out: { type: 'string' },
+      name: { type: 'string', default: DEFAULT_TEMPLATE },
+      rotate: { type: 'string' },
+      'flip-h': { type: 'boolean', default: false },
+      'flip-v': { type: 'boolean', default: false },
+      'no-auto-fix': { type: 'boolean', default: false },
+      'keep-exif': { type: 'boolean', default: false },
+      lossless: { type: 'boolean', default: false },
+      resampling: { type: 'string', default: 'browser' },
+      sharpen: { type: 'boolean', default: false },
+      'pad-color': { type: 'string', default: '#ffffff' },
+      focal: { type: 'string' },
+      quiet: { type: 'boolean', short: 'q', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help || positionals.length === 0) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  const options = buildOptions(values);
+  const unknown = findUnknownTokens(values.name);
+  if (unknown.length) throw new Error(`Unknown token ${unknown.join(', ')} in --name`);
+  if (values.out) await mkdir(values.out, { recursive: true });
+
+  // --quiet also silences the size search and warnings
+  const onLog = values.quiet ? () => {} : console.log;
+  const onWarn = values.quiet ? () => {} : console.warn;
+  let failures = 0;
+  const uniquePath = createUniquePaths();
+  for (const [index, input] of positionals.entries()) {
+    try {
+      const result = await processFile(input, options, { onLog, onWarn });
+      const target = uniquePath(await outputPath(input, result, {
+        template: values.name, index: index + 1, total: positionals.length, outDir: values.out
+      }));
+      await writeFile(target, new Uint8Array(await result.blob.arrayBuffer()));
+      let note = result.lossless ? ', lossless' : '';
+      if (result.scale < 1) note += `, scaled to ${Math.round(result.scale * 100)}% to fit`;
+      if (!values.quiet) console.log(`${input} -> ${target} (${result.width}x${result.height}, ${(result.blob.size / 1024).toFixed(1)} KB${note})`);
+      if (result.targetMet === false) {
+        failures++;
+        console.error(`${input}: could not meet --max-size ${values['max-size']}`);
+      }
+    } catch (err) {
+      failures++;
+      console.error(`${input}: ${err.message || err}`);
+    }
+  }
+  return failures ? 1 : 0;
+}
+
+main().then(
+  (code) => { process.exitCode = code; },
+  (err) => {
+    console.error(`image-fix: ${err.message || err}`);
+    process.exitCode = 2;
+  }
+);
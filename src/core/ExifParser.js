@@ -0,0 +1,593 @@
+// Minimal EXIF reader built on DataView.
+// Only the bytes holding the EXIF block are read from the file (the first Exif APP1
+// segment of a JPEG, the eXIf chunk of a PNG, the EXIF chunk of a WebP, the Exif item
+// of a HEIC/HEIF), so large files cost nothing extra. TIFF files are read whole.
+
+const EXIF_HEADER = 'Exif\0\0';
+
+// Cap on how many bytes a single metadata block may take before we give up
+const MAX_BLOCK_SIZE = 4 * 1024 * 1024;
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+const IFD0_TAGS = {
+  0x0100: 'ImageWidth',
+  0x0101: 'ImageLength',
+  0x0102: 'BitsPerSample',
+  0x0103: 'Compression',
+  0x0106: 'PhotometricInterpretation',
+  0x010e: 'ImageDescription',
+  0x010f: 'Make',
+  0x0110: 'Model',
+  0x0112: 'Orientation',
+  0x0115: 'SamplesPerPixel',
+  0x011a: 'XResolution',
+  0x011b: 'YResolution',
+  0x0128: 'ResolutionUnit',
+  0x0131: 'Software',
+  0x0132: 'DateTime',
+  0x013b: 'Artist',
+  0x0201: 'JPEGInterchangeFormat',
+  0x0202: 'JPEGInterchangeFormatLength',
+  0x0213: 'YCbCrPositioning',
+  0x8298: 'Copyright',
+  0x8769: 'ExifIFDPointer',
+  0x8825: 'GPSInfoIFDPointer'
+};
+
+const EXIF_TAGS = {
+  0x829a: 'ExposureTime',
+  0x829d: 'FNumber',
+  0x8822: 'ExposureProgram',
+  0x8827: 'ISOSpeedRatings',
+  0x9000: 'ExifVersion',
+  0x9003: 'DateTimeOriginal',
+  0x9004: 'DateTimeDigitized',
+  0x9010: 'OffsetTime',
+  0x9011: 'OffsetTimeOriginal',
+  0x9201: 'ShutterSpeedValue',
+  0x9202: 'ApertureValue',
+  0x9204: 'ExposureBiasValue',
+  0x9207: 'MeteringMode',
+  0x9209: 'Flash',
+  0x920a: 'FocalLength',
+  0x927c: 'MakerNote',
+  0x9286: 'UserComment',
+  0x9290: 'SubSecTime',
+  0x9291: 'SubSecTimeOriginal',
+  0xa001: 'ColorSpace',
+  0xa002: 'PixelXDimension',
+  0xa003: 'PixelYDimension',
+  0xa005: 'InteroperabilityIFDPointer',
+  0xa402: 'ExposureMode',
+  0xa403: 'WhiteBalance',
+  0xa405: 'FocalLengthIn35mmFilm',
+  0xa406: 'SceneCaptureType',
+  0xa420: 'ImageUniqueID',
+  0xa430: 'CameraOwnerName',
+  0xa431: 'BodySerialNumber',
+  0xa433: 'LensMake',
+  0xa434: 'LensModel'
+};
+
+const GPS_TAGS = {
+  0x0000: 'GPSVersionID',
+  0x0001: 'GPSLatitudeRef',
+  0x0002: 'GPSLatitude',
+  0x0003: 'GPSLongitudeRef',
+  0x0004: 'GPSLongitude',
+  0x0005: 'GPSAltitudeRef',
+  0x0006: 'GPSAltitude',
+  0x0007: 'GPSTimeStamp',
+  0x000c: 'GPSSpeedRef',
+  0x000d: 'GPSSpeed',
+  0x0010: 'GPSImgDirectionRef',
+  0x0011: 'GPSImgDirection',
+  0x0012: 'GPSMapDatum',
+  0x001d: 'GPSDateStamp'
+};
+
+/**
+ * Thrown when an EXIF block is present but cannot be read.
+ */
+export class ExifParseError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - 'TRUNCATED' | 'INVALID_TIFF' | 'INVALID_CONTAINER'
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'ExifParseError';
+    this.code = code;
+  }
+}
+
+export class ExifParser {
+  /**
+   * Reads EXIF metadata from an image file.
+   * @param {Blob} file - JPEG, PNG, WebP, HEIC/HEIF/AVIF or TIFF
+   * @returns {Promise<object|null>} Metadata (see parseTiff), or null when the file has no EXIF
+   * @throws {ExifParseError} When the EXIF block is malformed
+   */
+  static async parse(file) {
+    const tiff = await this.readTiffBlock(file);
+    return tiff ? this.parseTiff(tiff) : null;
+  }
+
+  /**
+   * Locates the raw TIFF structure holding the EXIF data inside a container.
+   * @param {Blob} file
+   * @returns {Promise<Uint8Array|null>}
+   */
+  static async readTiffBlock(file) {
+    const head = await readBytes(file, 0, 16);
+    if (head.length < 8) return null;
+
+    if (head[0] === 0xff && head[1] === 0xd8) return readJpegExif(file);
+    if (head[0] === 0x89 && matches(head, 1, 'PNG')) return readPngExif(file);
+    if (matches(head, 0, 'RIFF') && matches(head, 8, 'WEBP')) return readWebpExif(file);
+    if (matches(head, 4, 'ftyp')) return readIsoBmffExif(file);
+    if (matches(head, 0, 'II*\0') || matches(head, 0, 'MM\0*')) {
+      // TIFF files are their own EXIF block, and IFD offsets may point anywhere in the file
+      return readBytes(file, 0, file.size);
+    }
+    return null;
+  }
+
+  /**
+   * Reads the display transform of a HEIF image's primary item: its 'irot' and 'imir'
+   * properties, applied in association order. Unlike EXIF orientation these are mandatory
+   * in HEIF, and decoders such as libheif apply them while decoding.
+   * @param {Blob} file
+   * @returns {Promise<{ rotation: number, flip: boolean }|null>} As "mirror, then rotate clockwise";
+   *   null when the file is not ISOBMFF or the primary item has no transform
+   * @throws {ExifParseError} When the 'meta' box is malformed
+   */
+  static async readHeifTransform(file) {
+    const head = await readBytes(file, 0, 16);
+    if (!matches(head, 4, 'ftyp')) return null;
+
+    const meta = await findTopLevelBox(file, 'meta');
+    if (!meta) return null;
+
+    const boxes = childBoxes(meta, 4);
+    const pitm = boxes.find(b => b.type === 'pitm');
+    const iprp = boxes.find(b => b.type === 'iprp');
+    if (!pitm || !iprp) return null;
+
+    const view = new DataView(meta.buffer, meta.byteOffset, meta.byteLength);
+    const primaryId = meta[pitm.start] === 0 ? view.getUint16(pitm.start + 4) : view.getUint32(pitm.start + 4);
+
+    const iprpBoxes = childBoxes(meta, iprp.start, iprp.end);
+    const ipco = iprpBoxes.find(b => b.type === 'ipco');
+    const ipma = iprpBoxes.find(b => b.type === 'ipma');
+    if (!ipco || !ipma) return null;
+
+    const properties = childBoxes(meta, ipco.start, ipco.end);
+    let transform = null;
+    for (const index of findPropertyIndexes(meta, ipma, primaryId)) {
+      const property = properties[index - 1]; // 1-based, 0 means "no property"
+      if (!property || (property.type !== 'irot' && property.type !== 'imir')) continue;
+
+      let { rotation, flip } = transform || { rotation: 0, flip: false };
+      if (property.type === 'irot') {
+        // Anticlockwise quarter turns
+        const angle = (meta[property.start] & 3) * 90;
+        rotation = (rotation + 360 - angle) % 360;
+      } else {
+        // Axis 1 mirrors left-right, axis 0 top-bottom (libheif's reading of the spec)
+        rotation = (360 - rotation) % 360;
+        flip = !flip;
+        if ((meta[property.start] & 1) === 0) rotation = (rotation + 180) % 360;
+      }
+      transform = { rotation, flip };
+    }
+    return transform;
+  }
+
+  /**
+   * Parses a TIFF structure (both byte orders) into named tag objects.
+   * Damage past the IFD0 entry table is tolerated: a tag whose value points outside the
+   * block (often a MakerNote broken by an editor) or an unreadable Exif, GPS or thumbnail
+   * IFD is left out and listed in warnings, so the Orientation tag survives.
+   * @param {Uint8Array} bytes - Starts with "II" or "MM"
+   * @returns {{ byteOrder: string, orientation: number, ifd0: object, exif: object, gps: object, thumbnail: Uint8Array|null, thumbnailOrientation: number|null, warnings: string[] }}
+   *   thumbnailOrientation is the thumbnail's own Orientation tag (IFD1), null when it has none
+   * @throws {ExifParseError} When the header or the IFD0 entry table is unreadable
+   */
+  static parseTiff(bytes) {
+    if (bytes.length < 8) throw new ExifParseError('EXIF block is too short', 'TRUNCATED');
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const order = view.getUint16(0);
+    if (order !== 0x4949 && order !== 0x4d4d) {
+      throw new ExifParseError('Invalid TIFF byte order marker', 'INVALID_TIFF');
+    }
+    const little = order === 0x4949;
+    if (view.getUint16(2, little) !== 42) {
+      throw new ExifParseError('Invalid TIFF magic number', 'INVALID_TIFF');
+    }
+
+    const warnings = [];
+    const ifd0Offset = view.getUint32(4, little);
+    const { tags: ifd0, next } = readIfd(view, ifd0Offset, little, IFD0_TAGS, warnings);
+    // Everything below IFD0 is optional: a broken IFD is skipped with a warning
+    const readOptionalIfd = (offset, names, label) => {
+      try {
+        return readIfd(view, offset, little, names, warnings).tags;
+      } catch (err) {
+        if (!(err instanceof ExifParseError)) throw err;
+        warnings.push(`${label}: ${err.message}`);
+        return {};
+      }
+    };
+    const exif = ifd0.ExifIFDPointer ? readOptionalIfd(ifd0.ExifIFDPointer, EXIF_TAGS, 'Exif IFD') : {};
+    const gps = ifd0.GPSInfoIFDPointer ? readOptionalIfd(ifd0.GPSInfoIFDPointer, GPS_TAGS, 'GPS IFD') : {};
+
+    // IFD1 describes the embedded JPEG thumbnail
+    let thumbnail = null;
+    let thumbnailOrientation = null;
+    if (next) {
+      const ifd1 = readOptionalIfd(next, IFD0_TAGS, 'Thumbnail IFD');
+      if (ifd1.Orientation !== undefined) thumbnailOrientation = validOrientation(ifd1.Orientation);
+      const offset = ifd1.JPEGInterchangeFormat;
+      const length = ifd1.JPEGInterchangeFormatLength;
+      if (offset && length && offset + length <= bytes.length) {
+        thumbnail = bytes.slice(offset, offset + length);
+      }
+    }
+
+    addGpsCoordinates(gps);
+
+    return {
+      byteOrder: little ? 'II' : 'MM',
+      orientation: validOrientation(ifd0.Orientation),
+      ifd0,
+      exif,
+      gps,
+      thumbnail,
+      thumbnailOrientation,
+      warnings
+    };
+  }
+}
+
+// --- Containers ---
+
+async function readBytes(file, start, length) {
+  const buffer = await file.slice(start, start + length).arrayBuffer();
+  return new Uint8Array(buffer);
+}
+
+function matches(bytes, pos, text) {
+  for (let i = 0; i < text.length; i++) {
+    if (bytes[pos + i] !== text.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+function stripExifHeader(bytes) {
+  return matches(bytes, 0, EXIF_HEADER) ? bytes.subarray(EXIF_HEADER.length) : bytes;
+}
+
+async function readJpegExif(file) {
+  let pos = 2;
+  while (pos + 4 <= file.size) {
+    const header = await readBytes(file, pos, 4);
+    if (header[0] !== 0xff) throw new ExifParseError('Invalid JPEG marker structure', 'INVALID_CONTAINER');
+    const marker = header[1];
+    if (marker === 0xff) {
+      pos++;
+      continue;
+    }
+    // Metadata always precedes the image data
+    if (marker === 0xda || marker === 0xd9) return null;
+
+    const length = (header[2] << 8) | header[3];
+    if (length < 2) throw new ExifParseError('Invalid JPEG segment length', 'INVALID_CONTAINER');
+
+    if (marker === 0xe1) {
+      const segment = await readBytes(file, pos + 4, length - 2);
+      if (segment.length < length - 2) throw new ExifParseError('APP1 segment is truncated', 'TRUNCATED');
+      // Skip XMP APP1 segments; the first Exif APP1 is the one we want
+      if (matches(segment, 0, EXIF_HEADER)) return segment.subarray(EXIF_HEADER.length);
+    }
+    pos += 2 + length;
+  }
+  return null;
+}
+
+async function readPngExif(file) {
+  let pos = 8;
+  while (pos + 8 <= file.size) {
+    const header = await readBytes(file, pos, 8);
+    const length = new DataView(header.buffer).getUint32(0);
+    const type = String.fromCharCode(...header.subarray(4, 8));
+
+    if (type === 'eXIf') {
+      if (length > MAX_BLOCK_SIZE) throw new ExifParseError('eXIf chunk is too large', 'INVALID_CONTAINER');
+      const data = await readBytes(file, pos + 8, length);
+      if (data.length < length) throw new ExifParseError('eXIf chunk is truncated', 'TRUNCATED');
+      return data;
+    }
+    if (type === 'IEND') return null;
+    pos += 12 + length; // length + type + data + CRC
+  }
+  return null;
+}
+
+async function readWebpExif(file) {
+  let pos = 12;
+  while (pos + 8 <= file.size) {
+    const header = await readBytes(file, pos, 8);
+    const type = String.fromCharCode(...header.subarray(0, 4));
+    const length = new DataView(header.buffer).getUint32(4, true);
+
+    if (type === 'EXIF') {
+      if (length > MAX_BLOCK_SIZE) throw new ExifParseError('EXIF chunk is too large', 'INVALID_CONTAINER');
+      const data = await readBytes(file, pos + 8, length);
+      if (data.length < length) throw new ExifParseError('EXIF chunk is truncated', 'TRUNCATED');
+      return stripExifHeader(data);
+    }
+    pos += 8 + length + (length % 2);
+  }
+  return null;
+}
+
+/**
+ * HEIC/HEIF/AVIF: EXIF is stored as an item of type 'Exif' inside the 'meta' box.
+ * The item starts with a 32-bit offset to the TIFF header.
+ */
+async function readIsoBmffExif(file) {
+  const meta = await findTopLevelBox(file, 'meta');
+  if (!meta) return null;
+
+  // 'meta' is a FullBox: skip version/flags
+  const boxes = childBoxes(meta, 4);
+  const iinf = boxes.find(b => b.type === 'iinf');
+  const iloc = boxes.find(b => b.type === 'iloc');
+  if (!iinf || !iloc) return null;
+
+  const itemId = findExifItemId(meta, iinf);
+  if (itemId === null) return null;
+
+  const extent = findItemExtent(meta, iloc, itemId);
+  if (!extent) return null;
+  if (extent.length > MAX_BLOCK_SIZE) throw new ExifParseError('Exif item is too large', 'INVALID_CONTAINER');
+
+  const data = await readBytes(file, extent.offset, extent.length);
+  if (data.length < 4) throw new ExifParseError('Exif item is truncated', 'TRUNCATED');
+  const tiffOffset = 4 + new DataView(data.buffer).getUint32(0);
+  return stripExifHeader(data.subarray(Math.min(tiffOffset, data.length)));
+}
+
+async function findTopLevelBox(file, wanted) {
+  let pos = 0;
+  while (pos + 8 <= file.size) {
+    const header = await readBytes(file, pos, 16);
+    const view = new DataView(header.buffer);
+    let size = view.getUint32(0);
+    const type = String.fromCharCode(...header.subarray(4, 8));
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(view.getBigUint64(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = file.size - pos;
+    }
+    if (size < headerSize) throw new ExifParseError(`Invalid '${type}' box size`, 'INVALID_CONTAINER');
+
+    if (type === wanted) {
+      if (size > MAX_BLOCK_SIZE) throw new ExifParseError(`'${type}' box is too large`, 'INVALID_CONTAINER');
+      return readBytes(file, pos + headerSize, size - headerSize);
+    }
+    pos += size;
+  }
+  return null;
+}
+
+function childBoxes(bytes, start, end = bytes.length) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const boxes = [];
+  let pos = start;
+  while (pos + 8 <= end) {
+    const size = view.getUint32(pos);
+    const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+    if (size < 8 || pos + size > end) break;
+    boxes.push({ type, start: pos + 8, end: pos + size });
+    pos += size;
+  }
+  return boxes;
+}
+
+function findExifItemId(meta, iinf) {
+  const view = new DataView(meta.buffer, meta.byteOffset, meta.byteLength);
+  const version = meta[iinf.start];
+  const entriesStart = iinf.start + 4 + (version === 0 ? 2 : 4);
+
+  for (const infe of childBoxes(meta, entriesStart, iinf.end)) {
+    if (infe.type !== 'infe') continue;
+    const infeVersion = meta[infe.start];
+    if (infeVersion < 2) continue;
+    const idSize = infeVersion === 2 ? 2 : 4;
+    const itemId = idSize === 2 ? view.getUint16(infe.start + 4) : view.getUint32(infe.start + 4);
+    const typePos = infe.start + 4 + idSize + 2; // skip item_protection_index
+    if (matches(meta, typePos, 'Exif')) return itemId;
+  }
+  return null;
+}
+
+function findItemExtent(meta, iloc, itemId) {
+  const view = new DataView(meta.buffer, meta.byteOffset, meta.byteLength);
+  const readSized = (pos, size) => {
+    if (size === 0) return 0;
+    if (size === 4) return view.getUint32(pos);
+    if (size === 8) return Number(view.getBigUint64(pos));
+    throw new ExifParseError(`Unsupported iloc field size ${size}`, 'INVALID_CONTAINER');
+  };
+
+  const version = meta[iloc.start];
+  let pos = iloc.start + 4;
+  const offsetSize = meta[pos] >> 4;
+  const lengthSize = meta[pos] & 15;
+  const baseOffsetSize = meta[pos + 1] >> 4;
+  const indexSize = version === 1 || version === 2 ? meta[pos + 1] & 15 : 0;
+  pos += 2;
+
+  const itemCount = version < 2 ? view.getUint16(pos) : view.getUint32(pos);
+  pos += version < 2 ? 2 : 4;
+
+  for (let i = 0; i < itemCount; i++) {
+    const id = version < 2 ? view.getUint16(pos) : view.getUint32(pos);
+    pos += version < 2 ? 2 : 4;
+    let constructionMethod = 0;
+    if (version === 1 || version === 2) {
+      constructionMethod = view.getUint16(pos) & 15;
+      pos += 2;
+    }
+    pos += 2; // data_reference_index
+    const baseOffset = readSized(pos, baseOffsetSize);
+    pos += baseOffsetSize;
+    const extentCount = view.getUint16(pos);
+    pos += 2;
+
+    let first = null;
+    for (let e = 0; e < extentCount; e++) {
+      pos += indexSize;
+      const offset = readSized(pos, offsetSize);
+      pos += offsetSize;
+      const length = readSized(pos, lengthSize);
+      pos += lengthSize;
+      if (!first) first = { offset: baseOffset + offset, length };
+    }
+
+    if (id === itemId) {
+      // Only file-offset construction is supported (idat/item references are rare for Exif)
+      return constructionMethod === 0 ? first : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Property indexes associated with an item in an 'ipma' box, in order.
+ */
+function findPropertyIndexes(meta, ipma, itemId) {
+  const view = new DataView(meta.buffer, meta.byteOffset, meta.byteLength);
+  const version = meta[ipma.start];
+  const wideIndexes = (meta[ipma.start + 3] & 1) === 1;
+  let pos = ipma.start + 4;
+  const entryCount = view.getUint32(pos);
+  pos += 4;
+
+  for (let i = 0; i < entryCount && pos < ipma.end; i++) {
+    const id = version < 1 ? view.getUint16(pos) : view.getUint32(pos);
+    pos += version < 1 ? 2 : 4;
+    const count = meta[pos++];
+    const indexes = [];
+    for (let a = 0; a < count; a++) {
+      // Top bit is the "essential" flag
+      if (wideIndexes) {
+        indexes.push(view.getUint16(pos) & 0x7fff);
+        pos += 2;
+      } else {
+        indexes.push(meta[pos] & 0x7f);
+        pos += 1;
+      }
+    }
+    if (id === itemId) return indexes;
+  }
+  return [];
+}
+
+// --- TIFF ---
+
+/**
+ * Reads one IFD. Tags whose value lies outside the block are skipped and noted in warnings.
+ * @throws {ExifParseError} When the entry table itself is out of range
+ */
+function readIfd(view, offset, little, names, warnings) {
+  if (offset + 2 > view.byteLength) throw new ExifParseError('IFD offset out of range', 'TRUNCATED');
+
+  const count = view.getUint16(offset, little);
+  const end = offset + 2 + count * 12;
+  if (end > view.byteLength) {
+    throw new ExifParseError('IFD entries out of range', 'TRUNCATED');
+  }
+
+  const tags = {};
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    const tag = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const valueCount = view.getUint32(entry + 4, little);
+    const size = TYPE_SIZES[type];
+    if (!size) continue; // unknown type, skip per TIFF spec
+
+    const byteLength = size * valueCount;
+    const valueOffset = byteLength <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+    const name = names[tag] || `0x${tag.toString(16).padStart(4, '0')}`;
+    if (valueOffset + byteLength > view.byteLength) {
+      warnings.push(`Value of ${name} is out of range, skipped`);
+      continue;
+    }
+
+    tags[name] = readValue(view, valueOffset, type, valueCount, little);
+  }
+
+  const next = end + 4 <= view.byteLength ? view.getUint32(end, little) : 0;
+  return { tags, next: next < view.byteLength ? next : 0 };
+}
+
+function readValue(view, offset, type, count, little) {
+  if (type === 2) {
+    // ASCII, NUL-terminated
+    let text = '';
+    for (let i = 0; i < count; i++) {
+      const c = view.getUint8(offset + i);
+      if (c === 0) break;
+      text += String.fromCharCode(c);
+    }
+    return text.trim();
+  }
+  if (type === 7) {
+    // UNDEFINED: raw bytes
+    return new Uint8Array(view.buffer, view.byteOffset + offset, count).slice();
+  }
+
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    const pos = offset + i * TYPE_SIZES[type];
+    switch (type) {
+      case 1: values.push(view.getUint8(pos)); break;
+      case 3: values.push(view.getUint16(pos, little)); break;
+      case 4: values.push(view.getUint32(pos, little)); break;
+      case 5: values.push(view.getUint32(pos, little) / (view.getUint32(pos + 4, little) || 1)); break;
+      case 6: values.push(view.getInt8(pos)); break;
+      case 8: values.push(view.getInt16(pos, little)); break;
+      case 9: values.push(view.getInt32(pos, little)); break;
+      case 10: values.push(view.getInt32(pos, little) / (view.getInt32(pos + 4, little) || 1)); break;
+      case 11: values.push(view.getFloat32(pos, little)); break;
+      case 12: values.push(view.getFloat64(pos, little)); break;
+    }
+  }
+  return count === 1 ? values[0] : values;
+}
+
+function validOrientation(value) {
+  return Number.isInteger(value) && value >= 1 && value <= 8 ? value : 1;
+}
+
+function addGpsCoordinates(gps) {
+  const toDecimal = (dms, ref) => {
+    if (!Array.isArray(dms) || dms.length !== 3) return undefined;
+    const value = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    return ref === 'S' || ref === 'W' ? -value : value;
+  };
+  const latitude = toDecimal(gps.GPSLatitude, gps.GPSLatitudeRef);
+  const longitude = toDecimal(gps.GPSLongitude, gps.GPSLongitudeRef);
+  if (latitude !== undefined && longitude !== undefined) {
+    gps.latitude = latitude;
+    gps.longitude = longitude;
+  }
+}
@@ -0,0 +1,130 @@
+// Output file naming: filename templates and collision-free paths.
+// Pure functions, shared by the web app's downloads and the CLI.
+
+export const DEFAULT_TEMPLATE = '{name}_fixed.{ext}';
+
+export const DEFAULT_ZIP_NAME = 'images_fixed.zip';
+
+// {token} -> description, for validation and help texts
+export const TEMPLATE_TOKENS = {
+  name: 'original file name without extension',
+  index: 'position in the batch, zero-padded (001, 002, ...)',
+  width: 'output width in pixels',
+  height: 'output height in pixels',
+  date: 'EXIF DateTimeOriginal as YYYY-MM-DD (file date when missing)',
+  ext: 'extension of the output format'
+};
+
+// Characters that are invalid in file names on Windows, macOS or Linux, plus path separators
+const UNSAFE_CHARS = /[<>:"/\\|?*\u0000-\u001f]/g;
+
+/**
+ * Lists the unknown tokens in a template.
+ * @param {string} template
+ * @returns {string[]} e.g. ['{size}']; empty when the template is valid
+ */
+export function findUnknownTokens(template) {
+  const tokens = template.match(/\{[^}]*\}/g) || [];
+  return tokens.filter(token => !(token.slice(1, -1) in TEMPLATE_TOKENS));
+}
+
+/**
+ * Fills in a filename template. Token values are sanitized so they can't add folders.
+ * @param {string} template - e.g. '{date}_{name}_{width}w.{ext}'
+ * @param {object} values
+ * @param {string} values.name
+ * @param {number} values.index - 1-based
+ * @param {number} [values.total] - Batch size, sets the zero-padding of {index}
+ * @param {number} values.width
+ * @param {number} values.height
+ * @param {string} values.date - See formatExifDate
+ * @param {string} values.ext
+ * @returns {string}
+ */
+export function formatFileName(template, { name, index, total = index, width, height, date, ext }) {
+  const values = {
+    name,
+    index: String(index).padStart(String(total).length, '0'),
+    width: String(width),
+    height: String(height),
+    date,
+    ext
+  };
+  const filled = template.replace(/\{(\w+)\}/g, (token, key) => (key in values ? sanitize(values[key]) : token));
+  return sanitize(filled).replace(/^\.+/, '') || `image.${ext}`;
+}
+
+/**
+ * Converts an EXIF date ("YYYY:MM:DD HH:MM:SS") or a timestamp to YYYY-MM-DD.
+ * @param {string|number|null} value - EXIF DateTimeOriginal, or milliseconds (e.g. File.lastModified)
+ * @returns {string} Empty when the value is missing or malformed
+ */
+export function formatExifDate(value) {
+  if (typeof value === 'number') {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return '';
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+  const match = /^(\d{4}):(\d{2}):(\d{2})/.exec(value || '');
+  return match && match[1] !== '0000' ? `${match[1]}-${match[2]}-${match[3]}` : '';
+}
+
+/**
+ * Splits a file name into base name and extension.
+ * @param {string} fileName
+ * @returns {{ base: string, ext: string }} ext without the dot, empty when there is none
+ */
+export function splitExtension(fileName) {
+  const dot = fileName.lastIndexOf('.');
+  return dot > 0 ? { base: fileName.slice(0, dot), ext: fileName.slice(dot + 1) } : { base: fileName, ext: '' };
+}
+
+/**
+ * Joins a relative folder and a file name into a ZIP entry path. Each folder is
+ * sanitized, and empty, '.' and '..' segments are dropped so entries can't escape the archive.
+ * @param {string} dir - e.g. 'holiday/day 1' (as from webkitRelativePath without the file name)
+ * @param {string} fileName
+ * @returns {string}
+ */
+export function joinPath(dir, fileName) {
+  const segments = (dir || '').split(/[\\/]/)
+    .filter(segment => segment && segment !== '.' && segment !== '..')
+    .map(sanitize);
+  return [...segments, fileName].join('/');
+}
+
+/**
+ * Makes a ZIP file name from user input: sanitized, with a .zip extension.
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeZipName(name) {
+  const base = sanitize((name || '').trim()).replace(/\.zip$/i, '');
+  return base ? `${base}.zip` : DEFAULT_ZIP_NAME;
+}
+
+/**
+ * Creates a function that returns each path unchanged the first time and adds
+ * _2, _3, ... before the extension on collisions. Comparison ignores case, since
+ * ZIPs are often extracted on case-insensitive file systems.
+ * @returns {(path: string) => string}
+ */
+export function createUniquePaths() {
+  const used = new Set();
+  return (path) => {
+    const slash = path.lastIndexOf('/') + 1;
+    const dir = path.slice(0, slash);
+    const { base, ext } = splitExtension(path.slice(slash));
+    let candidate = path;
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+      candidate = `${dir}${base}_${n}${ext ? `.${ext}` : ''}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  };
+}
+
+function sanitize(value) {
+  return String(value).replace(UNSAFE_CHARS, '_');
+}
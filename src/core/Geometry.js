@@ -0,0 +1,291 @@
+// Pure geometry for the processing pipeline: orientation table, transform composition
+// and output layout. No DOM or canvas access, so it runs the same in the browser,
+// in workers and in Node.
+
+// EXIF Orientation Reference Table.
+// 2, 4, 5 and 7 are the mirrored variants produced by front cameras and scanners.
+const ORIENTATION_TRANSFORMS = {
+  1: { rotation: 0, flip: false },   // Normal
+  2: { rotation: 0, flip: true },    // Mirrored horizontally
+  3: { rotation: 180, flip: false }, // Rotated 180
+  4: { rotation: 180, flip: true },  // Mirrored vertically
+  5: { rotation: 270, flip: true },  // Transposed (mirror + 90 CCW)
+  6: { rotation: 90, flip: false },  // Rotated 90 CW
+  7: { rotation: 90, flip: true },   // Transversed (mirror + 90 CW)
+  8: { rotation: 270, flip: false }  // Rotated 90 CCW
+};
+
+/**
+ * Maps an EXIF orientation (1-8) to the transform that makes it upright:
+ * an optional horizontal flip of the stored pixels followed by a clockwise rotation.
+ * @param {number} orientation
+ * @returns {{ rotation: number, flip: boolean }}
+ */
+export function getOrientationTransform(orientation) {
+  return ORIENTATION_TRANSFORMS[orientation] || ORIENTATION_TRANSFORMS[1];
+}
+
+/**
+ * Combines the EXIF fix with the user's manual rotation and flips into a single
+ * "mirror, then rotate clockwise" transform.
+ * Manual edits apply to the upright image: EXIF first, then flips, then rotation. The
+ * rotation comes last so a rotate button always turns what is on screen clockwise;
+ * see flipEdit for keeping a flip on screen-space axes.
+ * @param {object} options
+ * @param {number} [options.orientation] - EXIF orientation (1-8)
+ * @param {number} [options.manualRotation] - 0, 90, 180, 270
+ * @param {boolean} [options.flipHorizontal]
+ * @param {boolean} [options.flipVertical]
+ * @returns {{ rotation: number, flip: boolean }}
+ */
+export function resolveTransform({ orientation = 1, manualRotation = 0, flipHorizontal = false, flipVertical = false }) {
+  const exif = getOrientationTransform(orientation);
+  let rotation = exif.rotation;
+  let flip = exif.flip;
+
+  // A mirror applied after a rotation equals the opposite rotation applied after the mirror.
+  // A vertical flip is a horizontal flip plus 180 degrees.
+  if (flipHorizontal !== flipVertical) {
+    rotation = (360 - rotation) % 360;
+    flip = !flip;
+  }
+  if (flipVertical) {
+    rotation = (rotation + 180) % 360;
+  }
+
+  return { rotation: (rotation + manualRotation) % 360, flip };
+}
+
+/**
+ * Toggles a flip as seen on screen. Flips are applied before the manual rotation, so
+ * mirroring the rotated image also reverses the rotation: a mirror after a turn by r is
+ * the mirror followed by a turn by -r.
+ * @param {{ manualRotation: number, flipHorizontal: boolean, flipVertical: boolean }} settings
+ * @param {'horizontal'|'vertical'} axis - Axis on screen
+ * @returns {{ manualRotation: number, flipHorizontal: boolean, flipVertical: boolean }}
+ */
+export function flipEdit({ manualRotation, flipHorizontal, flipVertical }, axis) {
+  return {
+    manualRotation: (360 - manualRotation) % 360,
+    flipHorizontal: axis === 'horizontal' ? !flipHorizontal : flipHorizontal,
+    flipVertical: axis === 'vertical' ? !flipVertical : flipVertical
+  };
+}
+
+/**
+ * Visual "upright" dimensions (post-rotation, pre-resize).
+ * Dimensions swap for 90 and 270 degrees; flips never change them.
+ * @param {number} width - Stored pixel width
+ * @param {number} height - Stored pixel height
+ * @param {number} rotation - Clockwise rotation from resolveTransform
+ * @returns {{ width: number, height: number }}
+ */
+export function getUprightSize(width, height, rotation) {
+  const swaps = rotation === 90 || rotation === 270;
+  return swaps ? { width: height, height: width } : { width, height };
+}
+
+/**
+ * Computes the output canvas size and the rectangle the upright (rotated, pre-resize)
+ * image is drawn into. The rectangle equals the canvas except for 'both-cover'
+ * (larger than the canvas, shifted toward the focal point) and 'both-pad' (smaller, centered).
+ * @param {number} uprightW
+ * @param {number} uprightH
+ * @param {object} options
+ * @param {string} [options.resizeMode]
+ * @param {number} [options.targetWidth]
+ * @param {number} [options.targetHeight]
+ * @param {{ x: number, y: number }} [options.focalPoint] - 0-1 of the upright image
+ * @returns {{ width: number, height: number, drawX: number, drawY: number, drawW: number, drawH: number }}
+ */
+export function computeLayout(uprightW, uprightH, { resizeMode = 'none', targetWidth, targetHeight, focalPoint = { x: 0.5, y: 0.5 } } = {}) {
+  let finalW = uprightW;
+  let finalH = uprightH;
+  const hasBox = targetWidth && targetHeight;
+
+  if (resizeMode === 'width' && targetWidth) {
+    finalW = targetWidth;
+    finalH = (uprightH / uprightW) * targetWidth;
+  } else if (resizeMode === 'height' && targetHeight) {
+    finalH = targetHeight;
+    finalW = (uprightW / uprightH) * targetHeight;
+  } else if (resizeMode === 'both-fit' && hasBox) {
+    // Fit within box, maintaining aspect ratio
+    const ratio = Math.min(targetWidth / uprightW, targetHeight / uprightH);
+    finalW = uprightW * ratio;
+    finalH = uprightH * ratio;
+  } else if (resizeMode === 'both-force' && hasBox) {
+    finalW = targetWidth;
+    finalH = targetHeight;
+  } else if (resizeMode === 'both-cover' && hasBox) {
+    // Fill the box and crop the overflow, keeping the focal point as central as possible
+    const ratio = Math.max(targetWidth / uprightW, targetHeight / uprightH);
+    const drawW = uprightW * ratio;
+    const drawH = uprightH * ratio;
+    const clamp = (value, min) => Math.min(0, Math.max(min, value));
+    return {
+      width: targetWidth,
+      height: targetHeight,
+      drawX: clamp(targetWidth / 2 - focalPoint.x * drawW, targetWidth - drawW),
+      drawY: clamp(targetHeight / 2 - focalPoint.y * drawH, targetHeight - drawH),
+      drawW,
+      drawH
+    };
+  } else if (resizeMode === 'both-pad' && hasBox) {
+    // Fit inside the box and letterbox the rest
+    const ratio = Math.min(targetWidth / uprightW, targetHeight / uprightH);
+    const drawW = uprightW * ratio;
+    const drawH = uprightH * ratio;
+    return {
+      width: targetWidth,
+      height: targetHeight,
+      drawX: (targetWidth - drawW) / 2,
+      drawY: (targetHeight - drawH) / 2,
+      drawW,
+      drawH
+    };
+  }
+
+  finalW = Math.round(finalW);
+  finalH = Math.round(finalH);
+  return { width: finalW, height: finalH, drawX: 0, drawY: 0, drawW: finalW, drawH: finalH };
+}
+
+/**
+ * Inverse of a "mirror, then rotate clockwise" transform.
+ * Mirrored transforms are their own inverse; plain rotations are undone by the opposite angle.
+ * @param {{ rotation: number, flip: boolean }} transform
+ * @returns {{ rotation: number, flip: boolean }}
+ */
+export function invertTransform({ rotation, flip }) {
+  return flip ? { rotation, flip } : { rotation: (360 - rotation) % 360, flip };
+}
+
+/**
+ * Maps a "mirror, then rotate clockwise" transform back to its EXIF orientation (1-8).
+ * @param {{ rotation: number, flip: boolean }} transform
+ * @returns {number}
+ */
+export function getOrientationFromTransform({ rotation, flip }) {
+  const match = Object.entries(ORIENTATION_TRANSFORMS)
+    .find(([, t]) => t.rotation === rotation && t.flip === flip);
+  return match ? Number(match[0]) : 1;
+}
+
+/**
+ * Shrinks a layout from computeLayout so its longest side is at most maxSize,
+ * keeping the crop/letterbox proportions. Used for previews of the exact output.
+ * @param {{ width: number, height: number, drawX: number, drawY: number, drawW: number, drawH: number }} layout
+ * @param {number} maxSize
+ * @returns {{ width: number, height: number, drawX: number, drawY: number, drawW: number, drawH: number }}
+ */
+export function scaleLayout(layout, maxSize) {
+  const factor = Math.min(1, maxSize / Math.max(layout.width, layout.height));
+  if (factor === 1) return layout;
+  return {
+    width: Math.max(1, Math.round(layout.width * factor)),
+    height: Math.max(1, Math.round(layout.height * factor)),
+    drawX: layout.drawX * factor,
+    drawY: layout.drawY * factor,
+    drawW: layout.drawW * factor,
+    drawH: layout.drawH * factor
+  };
+}
+
+/**
+ * Maps a point, in 0-1 coordinates of an image, through a "mirror, then rotate clockwise"
+ * transform. Use invertTransform to map from the upright image back to the stored pixels.
+ * @param {{ x: number, y: number }} point
+ * @param {{ rotation: number, flip: boolean }} transform
+ * @returns {{ x: number, y: number }}
+ */
+export function mapPoint({ x, y }, { rotation, flip }) {
+  if (flip) x = 1 - x;
+  if (rotation === 90) return { x: 1 - y, y: x };
+  if (rotation === 180) return { x: 1 - x, y: 1 - y };
+  if (rotation === 270) return { x: y, y: 1 - x };
+  return { x, y };
+}
+
+/**
+ * Largest axis-aligned rectangle inside a width x height image rotated by angle degrees,
+ * centered like the image. This is the straighten tool's auto-crop, so no empty corners
+ * show up in the output.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} angle - Degrees, positive is clockwise
+ * @returns {{ width: number, height: number }}
+ */
+export function getStraightenedSize(width, height, angle) {
+  const radians = (Math.abs(angle) % 180) * Math.PI / 180;
+  const sin = Math.abs(Math.sin(radians));
+  const cos = Math.abs(Math.cos(radians));
+  if (sin < 1e-12) return { width, height };
+
+  const widthIsLonger = width >= height;
+  const long = widthIsLonger ? width : height;
+  const short = widthIsLonger ? height : width;
+  if (short <= 2 * sin * cos * long || Math.abs(sin - cos) < 1e-10) {
+    // Half-constrained: two corners of the rectangle touch the longer sides
+    const half = short / 2;
+    return widthIsLonger ? { width: half / sin, height: half / cos } : { width: half / cos, height: half / sin };
+  }
+  // Fully constrained: all four corners touch the rotated image
+  const cos2 = cos * cos - sin * sin;
+  return { width: (width * cos - height * sin) / cos2, height: (height * cos - width * sin) / cos2 };
+}
+
+/**
+ * Whether process options contain a straighten or crop edit.
+ * @param {{ straighten?: number, crop?: object|null }} options
+ * @returns {boolean}
+ */
+export function hasEdit({ straighten = 0, crop = null }) {
+  return straighten !== 0 || !!crop;
+}
+
+/**
+ * Resolves a straighten/crop edit against the upright image. The image is rotated by the
+ * straighten angle and auto-cropped (getStraightenedSize) to a "frame"; the crop rectangle
+ * is relative to that frame.
+ * @param {number} uprightW
+ * @param {number} uprightH
+ * @param {object} edit
+ * @param {number} [edit.straighten] - Degrees, -45 to 45, positive is clockwise
+ * @param {{ x: number, y: number, width: number, height: number }|null} [edit.crop] - 0-1 of the frame
+ * @returns {{ angle: number, frameW: number, frameH: number, cropX: number, cropY: number, width: number, height: number }}
+ *   width/height are the edited image's size in pixels
+ */
+export function computeEdit(uprightW, uprightH, { straighten = 0, crop = null }) {
+  const frame = getStraightenedSize(uprightW, uprightH, straighten);
+  const { x, y, width, height } = crop || { x: 0, y: 0, width: 1, height: 1 };
+  return {
+    angle: straighten,
+    frameW: frame.width,
+    frameH: frame.height,
+    cropX: x * frame.width,
+    cropY: y * frame.height,
+    width: Math.max(1, Math.round(width * frame.width)),
+    height: Math.max(1, Math.round(height * frame.height))
+  };
+}
+
+/**
+ * Maps a point, in 0-1 coordinates of the upright image, into the edited image
+ * (clamped to its edges), e.g. to keep a focal point on the same detail after a crop.
+ * @param {{ x: number, y: number }} point
+ * @param {number} uprightW
+ * @param {number} uprightH
+ * @param {object} edit - From computeEdit
+ * @returns {{ x: number, y: number }}
+ */
+export function mapPointToEdit({ x, y }, uprightW, uprightH, edit) {
+  const radians = edit.angle * Math.PI / 180;
+  const dx = (x - 0.5) * uprightW;
+  const dy = (y - 0.5) * uprightH;
+  const clamp = (value) => Math.min(1, Math.max(0, value));
+  return {
+    x: clamp((dx * Math.cos(radians) - dy * Math.sin(radians) + edit.frameW / 2 - edit.cropX) / edit.width),
+    y: clamp((dx * Math.sin(radians) + dy * Math.cos(radians) + edit.frameH / 2 - edit.cropY) / edit.height)
+  };
+}
@@ -0,0 +1,87 @@
+// Undo/redo history. Each command knows how to undo and redo itself; the history only
+// keeps them in order. No DOM access.
+
+export const MAX_HISTORY = 100;
+// Commands with the same merge key closer together than this (ms) are one step
+export const MERGE_WINDOW = 1000;
+
+export class History {
+  /**
+   * @param {number} [limit] - Oldest steps are dropped beyond this many
+   */
+  constructor(limit = MAX_HISTORY) {
+    this.limit = limit;
+    this.done = [];
+    this.undone = [];
+    this.lastPush = null; // { mergeKey, time } of the last recorded command, while it can be extended
+  }
+
+  /**
+   * Records a command that has just been applied, and forgets everything that was undone.
+   * @param {object} command
+   * @param {string} command.label - Names the step, e.g. for tooltips
+   * @param {() => void} command.undo
+   * @param {() => void} command.redo
+   * @param {string} [command.mergeKey] - A command with the same key as the one before it,
+   *   within MERGE_WINDOW, extends that step instead of adding one (typing, dragging a slider)
+   * @param {number} [now] - Timestamp in ms
+   */
+  push(command, now = Date.now()) {
+    this.undone = [];
+    const last = this.done[this.done.length - 1];
+    const merge = last && command.mergeKey && this.lastPush
+      && this.lastPush.mergeKey === command.mergeKey && now - this.lastPush.time < MERGE_WINDOW;
+    this.lastPush = { mergeKey: command.mergeKey, time: now };
+    if (merge) {
+      // Undo goes back to before the first change, redo to after the latest
+      last.redo = command.redo;
+      return;
+    }
+    this.done.push({ label: command.label, undo: command.undo, redo: command.redo });
+    if (this.done.length > this.limit) this.done.shift();
+  }
+
+  /**
+   * @returns {object|null} The command undone, null when there is nothing to undo
+   */
+  undo() {
+    const command = this.done.pop();
+    if (!command) return null;
+    this.lastPush = null;
+    command.undo();
+    this.undone.push(command);
+    return command;
+  }
+
+  /**
+   * @returns {object|null} The command redone, null when there is nothing to redo
+   */
+  redo() {
+    const command = this.undone.pop();
+    if (!command) return null;
+    this.lastPush = null;
+    command.redo();
+    this.done.push(command);
+    return command;
+  }
+
+  /**
+   * @returns {string|null} Label of the step undo would revert
+   */
+  get undoLabel() {
+    return this.done.length ? this.done[this.done.length - 1].label : null;
+  }
+
+  /**
+   * @returns {string|null} Label of the step redo would apply
+   */
+  get redoLabel() {
+    return this.undone.length ? this.undone[this.undone.length - 1].label : null;
+  }
+
+  clear() {
+    this.done = [];
+    this.undone = [];
+    this.lastPush = null;
+  }
+}
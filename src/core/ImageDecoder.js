@@ -0,0 +1,190 @@
+// Input format detection and decoders for formats browsers can't render.
+// JPEG, PNG, WebP and AVIF go through the browser's own decoder; HEIC/HEIF and TIFF are
+// decoded in JS (libheif compiled to WASM, UTIF), loaded on first use since they are large.
+
+import { ExifParser } from './ExifParser.js';
+import { invertTransform } from './Geometry.js';
+import { orientPixels } from './PixelOps.js';
+
+// native: the browser decodes it (createImageBitmap / <img>)
+const INPUT_FORMATS = {
+  jpeg: { label: 'JPEG', mimeType: 'image/jpeg', native: true },
+  png: { label: 'PNG', mimeType: 'image/png', native: true },
+  webp: { label: 'WebP', mimeType: 'image/webp', native: true },
+  avif: { label: 'AVIF', mimeType: 'image/avif', native: true },
+  heif: { label: 'HEIC', mimeType: 'image/heic', native: false },
+  tiff: { label: 'TIFF', mimeType: 'image/tiff', native: false }
+};
+
+const AVIF_BRANDS = ['avif', 'avis'];
+const HEIF_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1'];
+
+// Lazily created libheif module (the WASM is inlined in the bundle)
+let libheifPromise = null;
+
+/**
+ * Thrown when a file is not a supported image or its pixels cannot be decoded.
+ */
+export class DecodeError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - 'UNSUPPORTED_FORMAT' | 'DECODE_FAILED'
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'DecodeError';
+    this.code = code;
+  }
+}
+
+export class ImageDecoder {
+  /**
+   * Sniffs the format from the first bytes of a file.
+   * @param {Uint8Array} bytes - At least 16 bytes
+   * @returns {string|null} Key of INPUT_FORMATS
+   */
+  static detectFormat(bytes) {
+    const text = (pos, length) => String.fromCharCode(...bytes.subarray(pos, pos + length));
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) return 'jpeg';
+    if (bytes[0] === 0x89 && text(1, 3) === 'PNG') return 'png';
+    if (text(0, 4) === 'RIFF' && text(8, 4) === 'WEBP') return 'webp';
+    if (text(0, 4) === 'II*\0' || text(0, 4) === 'MM\0*') return 'tiff';
+    if (text(4, 4) === 'ftyp') {
+      // Major brand plus compatible brands; AVIF files often also list 'mif1'
+      const size = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(0);
+      const brands = [text(8, 4)];
+      for (let pos = 16; pos + 4 <= Math.min(size, bytes.length); pos += 4) brands.push(text(pos, 4));
+      if (brands.some(b => AVIF_BRANDS.includes(b))) return 'avif';
+      if (brands.some(b => HEIF_BRANDS.includes(b))) return 'heif';
+    }
+    return null;
+  }
+
+  /**
+   * Identifies a file's format from its content; type and extension are not trusted.
+   * @param {Blob} file
+   * @returns {Promise<string|null>}
+   */
+  static async identify(file) {
+    const head = new Uint8Array(await file.slice(0, 64).arrayBuffer());
+    return head.length >= 16 ? this.detectFormat(head) : null;
+  }
+
+  /**
+   * @param {string} format
+   * @returns {string} Human-readable format name
+   */
+  static getLabel(format) {
+    return INPUT_FORMATS[format] ? INPUT_FORMATS[format].label : format;
+  }
+
+  /**
+   * @param {string} format
+   * @returns {string} MIME type, for files that come without one (e.g. from ZIP archives)
+   */
+  static getMimeType(format) {
+    return INPUT_FORMATS[format] ? INPUT_FORMATS[format].mimeType : '';
+  }
+
+  /**
+   * @param {string|null} format
+   * @returns {boolean} Whether the browser decodes it natively
+   */
+  static isNative(format) {
+    return !!(INPUT_FORMATS[format] && INPUT_FORMATS[format].native);
+  }
+
+  /**
+   * Checks that a file is an image this app can read.
+   * @param {File} file
+   * @returns {Promise<string>} Format key
+   * @throws {DecodeError} 'UNSUPPORTED_FORMAT' with a message naming the file type
+   */
+  static async assertSupported(file) {
+    const format = await this.identify(file);
+    if (format) return format;
+
+    const ext = (file.name || '').includes('.') ? file.name.split('.').pop().toUpperCase() : '';
+    const kind = ext || file.type || 'unknown type';
+    throw new DecodeError(`Unsupported file format (${kind}). Use JPEG, PNG, WebP, HEIC or TIFF.`, 'UNSUPPORTED_FORMAT');
+  }
+
+  /**
+   * Decodes a non-native format to its stored (un-oriented) RGBA pixels, the same
+   * starting point createImageBitmap({ imageOrientation: 'none' }) gives for JPEGs.
+   * @param {Blob} file
+   * @param {string} format - 'heif' or 'tiff'
+   * @returns {Promise<{ data: Uint8ClampedArray, width: number, height: number }>}
+   * @throws {DecodeError}
+   */
+  static async decode(file, format) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    try {
+      if (format === 'heif') return await this.decodeHeif(file, bytes);
+      if (format === 'tiff') return await this.decodeTiff(bytes);
+    } catch (err) {
+      if (err instanceof DecodeError) throw err;
+      throw new DecodeError(`Could not decode ${this.getLabel(format)} image: ${err.message || err}`, 'DECODE_FAILED');
+    }
+    throw new DecodeError(`No decoder for ${this.getLabel(format)}`, 'UNSUPPORTED_FORMAT');
+  }
+
+  /**
+   * HEIC/HEIF via libheif. libheif applies the 'irot'/'imir' display transform while
+   * decoding, so it is undone here; the pipeline re-applies it as the file's orientation
+   * (see ImageProcessor.getContainerOrientation), which keeps the auto-fix toggle meaningful.
+   */
+  static async decodeHeif(file, bytes) {
+    const libheif = await loadLibheif();
+    const decoder = new libheif.HeifDecoder();
+    let images = [];
+    let displayed;
+    try {
+      images = decoder.decode(bytes) || [];
+      if (images.length === 0) {
+        throw new DecodeError('HEIC file contains no decodable image', 'DECODE_FAILED');
+      }
+
+      const image = images.find(img => img.is_primary()) || images[0];
+      const width = image.get_width();
+      const height = image.get_height();
+      displayed = { data: new Uint8ClampedArray(width * height * 4), width, height };
+      await new Promise((resolve, reject) => {
+        image.display(displayed, (result) => result
+          ? resolve()
+          : reject(new DecodeError('libheif failed to decode the image', 'DECODE_FAILED')));
+      });
+    } finally {
+      // HeifDecoder has no free(): its libheif context is released directly
+      images.forEach(img => img.free());
+      if (decoder.decoder) libheif.heif_context_free(decoder.decoder);
+    }
+
+    const transform = await ExifParser.readHeifTransform(file);
+    return transform ? orientPixels(displayed, invertTransform(transform)) : displayed;
+  }
+
+  /**
+   * TIFF via UTIF: the largest page is used, which skips embedded thumbnails.
+   */
+  static async decodeTiff(bytes) {
+    const { default: UTIF } = await import('utif2');
+    const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    const ifds = UTIF.decode(buffer);
+    const pages = ifds.filter(ifd => ifd.t256 && ifd.t257);
+    if (pages.length === 0) throw new DecodeError('TIFF file contains no image', 'DECODE_FAILED');
+
+    const page = pages.reduce((a, b) => (b.t256[0] * b.t257[0] > a.t256[0] * a.t257[0] ? b : a));
+    UTIF.decodeImage(buffer, page, ifds);
+    const rgba = UTIF.toRGBA8(page);
+    const { width, height } = page;
+    return { data: new Uint8ClampedArray(rgba.buffer, rgba.byteOffset, width * height * 4), width, height };
+  }
+}
+
+function loadLibheif() {
+  if (!libheifPromise) {
+    libheifPromise = import('libheif-js/wasm-bundle.js').then(module => module.default || module);
+  }
+  return libheifPromise;
+}
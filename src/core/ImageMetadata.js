@@ -0,0 +1,547 @@
+// Metadata carry-over for re-encoded images (JPEG, PNG and WebP).
+// Canvas encoding drops every metadata segment, so when the user keeps EXIF we
+// lift the EXIF, XMP and ICC blocks from the source file and splice them into the output.
+
+import { ExifParser } from './ExifParser.js';
+
+const EXIF_HEADER = 'Exif\0\0';
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+const ICC_HEADER = 'ICC_PROFILE\0';
+const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Largest payload a single JPEG marker segment can carry (length field includes itself)
+const MAX_SEGMENT_PAYLOAD = 0xffff - 2;
+const ICC_CHUNK_SIZE = MAX_SEGMENT_PAYLOAD - ICC_HEADER.length - 2;
+
+// TIFF tags rewritten on export
+const TAG_IMAGE_WIDTH = 0x0100;
+const TAG_IMAGE_LENGTH = 0x0101;
+const TAG_ORIENTATION = 0x0112;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_PIXEL_X_DIMENSION = 0xa002;
+const TAG_PIXEL_Y_DIMENSION = 0xa003;
+
+const TYPE_SHORT = 3;
+const TYPE_LONG = 4;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+let crcTable = null;
+
+export class ImageMetadata {
+  /**
+   * Extracts the EXIF (raw TIFF structure), XMP packet and ICC profile from a JPEG, PNG or WebP.
+   * For HEIC/HEIF only the EXIF item is carried over.
+   * @param {Blob} file
+   * @returns {Promise<{ exif: Uint8Array|null, xmp: Uint8Array|null, icc: Uint8Array|null }>}
+   */
+  static async extract(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    if (isJpeg(bytes)) return this.extractFromJpeg(bytes);
+    if (isPng(bytes)) return this.extractFromPng(bytes);
+    if (isWebp(bytes)) return this.extractFromWebp(bytes);
+    if (hasHeader(bytes, 4, 'ftyp')) return { exif: await ExifParser.readTiffBlock(file), xmp: null, icc: null };
+    return { exif: null, xmp: null, icc: null };
+  }
+
+  /**
+   * @param {Uint8Array} bytes
+   */
+  static extractFromJpeg(bytes) {
+    const result = { exif: null, xmp: null, icc: null };
+    const iccChunks = [];
+
+    for (const { marker, start, end } of readJpegSegments(bytes)) {
+      if (marker === 0xe1 && !result.exif && hasHeader(bytes, start, EXIF_HEADER)) {
+        result.exif = bytes.slice(start + EXIF_HEADER.length, end);
+      } else if (marker === 0xe1 && !result.xmp && hasHeader(bytes, start, XMP_HEADER)) {
+        result.xmp = bytes.slice(start + XMP_HEADER.length, end);
+      } else if (marker === 0xe2 && hasHeader(bytes, start, ICC_HEADER)) {
+        // ICC profiles may span several APP2 segments: [seq number, total count, data]
+        const seq = bytes[start + ICC_HEADER.length];
+        iccChunks[seq] = bytes.subarray(start + ICC_HEADER.length + 2, end);
+      }
+    }
+
+    const chunks = iccChunks.filter(Boolean);
+    if (chunks.length) result.icc = concatBytes(chunks);
+    return result;
+  }
+
+  /**
+   * @param {Uint8Array} bytes
+   */
+  static async extractFromPng(bytes) {
+    const result = { exif: null, xmp: null, icc: null };
+
+    for (const { type, start, end } of readPngChunks(bytes)) {
+      if (type === 'eXIf' && !result.exif) {
+        result.exif = bytes.slice(start, end);
+      } else if (type === 'iCCP' && !result.icc) {
+        // name\0 + compression method + zlib stream
+        const nameEnd = bytes.indexOf(0, start);
+        if (nameEnd === -1 || nameEnd >= end) continue;
+        result.icc = await inflate(bytes.subarray(nameEnd + 2, end));
+      } else if (type === 'iTXt' && !result.xmp && hasHeader(bytes, start, PNG_XMP_KEYWORD + '\0')) {
+        // keyword\0 + compression flag + method + language\0 + translated keyword\0 + text
+        let pos = start + PNG_XMP_KEYWORD.length + 1;
+        const compressed = bytes[pos] === 1;
+        pos = bytes.indexOf(0, pos + 2) + 1;
+        pos = bytes.indexOf(0, pos) + 1;
+        if (pos <= 0 || pos > end) continue;
+        const text = bytes.subarray(pos, end);
+        result.xmp = compressed ? await inflate(text) : text.slice();
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * @param {Uint8Array} bytes
+   */
+  static extractFromWebp(bytes) {
+    const result = { exif: null, xmp: null, icc: null };
+
+    for (const { type, start, end } of readRiffChunks(bytes)) {
+      if (type === 'EXIF' && !result.exif) {
+        // Some writers keep the JPEG-style "Exif\0\0" prefix
+        const offset = hasHeader(bytes, start, EXIF_HEADER) ? EXIF_HEADER.length : 0;
+        result.exif = bytes.slice(start + offset, end);
+      } else if (type === 'XMP ' && !result.xmp) {
+        result.xmp = bytes.slice(start, end);
+      } else if (type === 'ICCP' && !result.icc) {
+        result.icc = bytes.slice(start, end);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Returns the number of bytes the metadata will add to an encoded image.
+   * Used to reserve room when targeting a maximum file size.
+   * @param {{ exif: Uint8Array|null, xmp: Uint8Array|null, icc: Uint8Array|null }} metadata
+   * @returns {number}
+   */
+  static estimateSize(metadata) {
+    if (!metadata) return 0;
+    const { exif, xmp, icc } = metadata;
+    // Segment/chunk framing is at most a few dozen bytes per block
+    const framing = 64;
+    return (exif ? exif.length + framing : 0)
+      + (xmp ? xmp.length + framing : 0)
+      + (icc ? icc.length + framing * Math.ceil(icc.length / ICC_CHUNK_SIZE) : 0);
+  }
+
+  /**
+   * Writes metadata into an encoded JPEG, PNG or WebP blob.
+   * Orientation is reset to 1 and the pixel dimension tags are set to the output size,
+   * since the pixels have already been rotated.
+   * @param {Blob} blob - Encoded image from canvas
+   * @param {string} mimeType
+   * @param {{ exif: Uint8Array|null, xmp: Uint8Array|null, icc: Uint8Array|null }} metadata
+   * @param {object} dimensions
+   * @param {number} dimensions.width
+   * @param {number} dimensions.height
+   * @returns {Promise<Blob>}
+   */
+  static async inject(blob, mimeType, metadata, { width, height }) {
+    if (!metadata || (!metadata.exif && !metadata.xmp && !metadata.icc)) return blob;
+
+    const exif = metadata.exif ? this.updateExif(metadata.exif, { width, height }) : null;
+    const xmp = metadata.xmp ? this.updateXmp(metadata.xmp) : null;
+    const icc = metadata.icc;
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+
+    if (mimeType === 'image/jpeg' && isJpeg(bytes)) {
+      return new Blob([this.injectIntoJpeg(bytes, { exif, xmp, icc })], { type: mimeType });
+    }
+    if (mimeType === 'image/png' && isPng(bytes)) {
+      return new Blob([await this.injectIntoPng(bytes, { exif, xmp, icc })], { type: mimeType });
+    }
+    if (mimeType === 'image/webp' && isWebp(bytes)) {
+      return new Blob([this.injectIntoWebp(bytes, { exif, xmp, icc }, { width, height })], { type: mimeType });
+    }
+
+    console.warn('Metadata preservation is not supported for', mimeType);
+    return blob;
+  }
+
+  /**
+   * @param {Uint8Array} bytes - Encoded JPEG
+   * @param {{ exif: Uint8Array|null, xmp: Uint8Array|null, icc: Uint8Array|null }} metadata
+   * @returns {Uint8Array}
+   */
+  static injectIntoJpeg(bytes, { exif, xmp, icc }) {
+    const segments = [];
+
+    if (exif) {
+      if (exif.length + EXIF_HEADER.length <= MAX_SEGMENT_PAYLOAD) {
+        segments.push(jpegSegment(0xe1, [encoder.encode(EXIF_HEADER), exif]));
+      } else {
+        console.warn('EXIF block too large for a single APP1 segment, skipping.');
+      }
+    }
+
+    if (xmp) {
+      if (xmp.length + XMP_HEADER.length <= MAX_SEGMENT_PAYLOAD) {
+        segments.push(jpegSegment(0xe1, [encoder.encode(XMP_HEADER), xmp]));
+      } else {
+        console.warn('Extended XMP is not supported, skipping XMP packet.');
+      }
+    }
+
+    if (icc) {
+      const count = Math.ceil(icc.length / ICC_CHUNK_SIZE);
+      for (let i = 0; i < count; i++) {
+        const chunk = icc.subarray(i * ICC_CHUNK_SIZE, (i + 1) * ICC_CHUNK_SIZE);
+        segments.push(jpegSegment(0xe2, [encoder.encode(ICC_HEADER), Uint8Array.of(i + 1, count), chunk]));
+      }
+    }
+
+    // Insert after SOI and the encoder's JFIF APP0 (if any), dropping any
+    // metadata segments the encoder may have written itself.
+    const kept = [];
+    let insertAt = 2;
+    let first = true;
+    let bodyStart = 2;
+
+    for (const { marker, offset, end } of readJpegSegments(bytes)) {
+      bodyStart = end;
+      if (marker === 0xda) {
+        bodyStart = offset;
+        break;
+      }
+      if (first && marker === 0xe0) {
+        insertAt = end;
+      } else if (marker !== 0xe1 && marker !== 0xe2) {
+        kept.push(bytes.subarray(offset, end));
+      }
+      first = false;
+    }
+
+    return concatBytes([
+      bytes.subarray(0, insertAt),
+      ...segments,
+      ...kept,
+      bytes.subarray(bodyStart)
+    ]);
+  }
+
+  /**
+   * @param {Uint8Array} bytes - Encoded PNG
+   * @param {{ exif: Uint8Array|null, xmp: Uint8Array|null, icc: Uint8Array|null }} metadata
+   * @returns {Promise<Uint8Array>}
+   */
+  static async injectIntoPng(bytes, { exif, xmp, icc }) {
+    const added = [];
+
+    if (icc) {
+      const name = encoder.encode('ICC profile');
+      const compressed = await deflate(icc);
+      added.push(pngChunk('iCCP', [name, Uint8Array.of(0, 0), compressed]));
+    }
+    if (exif) {
+      added.push(pngChunk('eXIf', [exif]));
+    }
+    if (xmp) {
+      // Uncompressed iTXt with empty language and translated keyword
+      added.push(pngChunk('iTXt', [encoder.encode(PNG_XMP_KEYWORD), Uint8Array.of(0, 0, 0, 0, 0), xmp]));
+    }
+
+    const parts = [bytes.subarray(0, PNG_SIGNATURE.length)];
+    for (const { type, offset, end } of readPngChunks(bytes)) {
+      const chunkEnd = end + 4; // include CRC
+      const replaced = (icc && (type === 'iCCP' || type === 'sRGB'))
+        || (exif && type === 'eXIf')
+        || (xmp && type === 'iTXt' && hasHeader(bytes, offset + 8, PNG_XMP_KEYWORD + '\0'));
+      if (!replaced) parts.push(bytes.subarray(offset, chunkEnd));
+      // Ancillary chunks must precede PLTE/IDAT, so they go right after IHDR
+      if (type === 'IHDR') parts.push(...added);
+    }
+
+    return concatBytes(parts);
+  }
+
+  /**
+   * Adds ICCP/EXIF/XMP chunks to a WebP, converting a simple (VP8/VP8L) file
+   * to the extended format with a VP8X header when needed.
+   * @param {Uint8Array} bytes - Encoded WebP
+   * @param {{ exif: Uint8Array|null, xmp: Uint8Array|null, icc: Uint8Array|null }} metadata
+   * @param {{ width: number, height: number }} dimensions - Canvas size for the VP8X header
+   * @returns {Uint8Array}
+   */
+  static injectIntoWebp(bytes, { exif, xmp, icc }, { width, height }) {
+    let flags = 0;
+    const image = [];
+
+    for (const { type, offset, start, end } of readRiffChunks(bytes)) {
+      if (type === 'VP8X') {
+        flags = bytes[start];
+      } else if (type === 'VP8L') {
+        // Alpha hint lives in bit 28 of the VP8L header (after the 0x2f signature byte)
+        if (bytes[start + 4] & 0x10) flags |= 0x10;
+        image.push(bytes.subarray(offset, end + (end - start) % 2));
+      } else if (!['ICCP', 'EXIF', 'XMP '].includes(type)) {
+        image.push(bytes.subarray(offset, end + (end - start) % 2));
+      }
+    }
+
+    if (icc) flags |= 0x20;
+    if (exif) flags |= 0x08;
+    if (xmp) flags |= 0x04;
+
+    const vp8x = new Uint8Array(10);
+    vp8x[0] = flags;
+    writeUint24(vp8x, 4, width - 1);
+    writeUint24(vp8x, 7, height - 1);
+
+    const body = concatBytes([
+      encoder.encode('WEBP'),
+      riffChunk('VP8X', vp8x),
+      ...(icc ? [riffChunk('ICCP', icc)] : []),
+      ...image,
+      ...(exif ? [riffChunk('EXIF', exif)] : []),
+      ...(xmp ? [riffChunk('XMP ', xmp)] : [])
+    ]);
+
+    const out = new Uint8Array(body.length + 8);
+    out.set(encoder.encode('RIFF'), 0);
+    new DataView(out.buffer).setUint32(4, body.length, true);
+    out.set(body, 8);
+    return out;
+  }
+
+  /**
+   * Returns a copy of a TIFF/EXIF block with Orientation reset to 1, the pixel
+   * dimension tags updated and the IFD1 thumbnail (still in the old orientation) dropped.
+   * Dimension tags in an out-of-range Exif IFD are skipped.
+   * @param {Uint8Array} exif - Raw TIFF structure (without the "Exif\0\0" header)
+   * @param {object} dimensions
+   * @param {number} dimensions.width
+   * @param {number} dimensions.height
+   * @returns {Uint8Array|null} null if the block is malformed
+   */
+  static updateExif(exif, { width, height }) {
+    const out = exif.slice();
+    const view = new DataView(out.buffer, out.byteOffset, out.byteLength);
+
+    try {
+      const byteOrder = view.getUint16(0);
+      if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) throw new Error('Invalid TIFF byte order');
+      const little = byteOrder === 0x4949;
+      if (view.getUint16(2, little) !== 42) throw new Error('Invalid TIFF magic number');
+
+      const ifd0 = view.getUint32(4, little);
+      let exifIfd = null;
+
+      const nextOffset = forEachIfdEntry(view, ifd0, little, (tag, type, entry) => {
+        if (tag === TAG_ORIENTATION) writeTagValue(view, entry, type, 1, little);
+        else if (tag === TAG_IMAGE_WIDTH) writeTagValue(view, entry, type, width, little);
+        else if (tag === TAG_IMAGE_LENGTH) writeTagValue(view, entry, type, height, little);
+        else if (tag === TAG_EXIF_IFD) exifIfd = view.getUint32(entry + 8, little);
+      });
+
+      // Unlink IFD1 (thumbnail)
+      view.setUint32(nextOffset, 0, little);
+
+      // Only the dimension tags are written in the Exif IFD, so if it lies (partly) outside the
+      // block the tags that can't be reached are left as they are, like the parser skips them
+      if (exifIfd) {
+        try {
+          forEachIfdEntry(view, exifIfd, little, (tag, type, entry) => {
+            if (tag === TAG_PIXEL_X_DIMENSION) writeTagValue(view, entry, type, width, little);
+            else if (tag === TAG_PIXEL_Y_DIMENSION) writeTagValue(view, entry, type, height, little);
+          });
+        } catch (err) {
+          if (!(err instanceof RangeError)) throw err;
+          console.warn('Exif IFD is out of range, keeping its pixel dimensions:', err);
+        }
+      }
+    } catch (err) {
+      console.warn('Could not update EXIF block, dropping it:', err);
+      return null;
+    }
+
+    return out;
+  }
+
+  /**
+   * Resets tiff:Orientation in an XMP packet to 1.
+   * @param {Uint8Array} xmp
+   * @returns {Uint8Array}
+   */
+  static updateXmp(xmp) {
+    const text = decoder.decode(xmp);
+    const updated = text
+      .replace(/tiff:Orientation="\d"/g, 'tiff:Orientation="1"')
+      .replace(/<tiff:Orientation>\d<\/tiff:Orientation>/g, '<tiff:Orientation>1</tiff:Orientation>');
+    return updated === text ? xmp : encoder.encode(updated);
+  }
+}
+
+// --- Container helpers ---
+
+function isJpeg(bytes) {
+  return bytes.length > 3 && bytes[0] === 0xff && bytes[1] === 0xd8;
+}
+
+function isPng(bytes) {
+  return bytes.length > PNG_SIGNATURE.length && PNG_SIGNATURE.every((b, i) => bytes[i] === b);
+}
+
+function isWebp(bytes) {
+  return bytes.length > 12 && hasHeader(bytes, 0, 'RIFF') && hasHeader(bytes, 8, 'WEBP');
+}
+
+function hasHeader(bytes, pos, header) {
+  if (pos + header.length > bytes.length) return false;
+  for (let i = 0; i < header.length; i++) {
+    if (bytes[pos + i] !== header.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+/**
+ * Iterates JPEG marker segments up to and including SOS.
+ * offset: marker position, start/end: payload range.
+ */
+function* readJpegSegments(bytes) {
+  let pos = 2;
+  while (pos + 4 <= bytes.length) {
+    if (bytes[pos] !== 0xff) return;
+    const marker = bytes[pos + 1];
+    if (marker === 0xff) {
+      pos++; // fill byte
+      continue;
+    }
+    if (marker === 0xd9) return;
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      pos += 2;
+      continue;
+    }
+    const length = (bytes[pos + 2] << 8) | bytes[pos + 3];
+    const end = Math.min(pos + 2 + length, bytes.length);
+    yield { marker, offset: pos, start: pos + 4, end };
+    if (marker === 0xda) return;
+    pos = end;
+  }
+}
+
+/**
+ * Iterates PNG chunks. offset: chunk start (length field), start/end: data range.
+ */
+function* readPngChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let pos = PNG_SIGNATURE.length;
+  while (pos + 12 <= bytes.length) {
+    const length = view.getUint32(pos);
+    const type = String.fromCharCode(bytes[pos + 4], bytes[pos + 5], bytes[pos + 6], bytes[pos + 7]);
+    const start = pos + 8;
+    const end = Math.min(start + length, bytes.length);
+    yield { type, offset: pos, start, end };
+    if (type === 'IEND') return;
+    pos = end + 4;
+  }
+}
+
+/**
+ * Iterates RIFF chunks of a WebP file. offset: chunk start (fourcc), start/end: data range.
+ */
+function* readRiffChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let pos = 12;
+  while (pos + 8 <= bytes.length) {
+    const type = String.fromCharCode(bytes[pos], bytes[pos + 1], bytes[pos + 2], bytes[pos + 3]);
+    const length = view.getUint32(pos + 4, true);
+    const start = pos + 8;
+    const end = Math.min(start + length, bytes.length);
+    yield { type, offset: pos, start, end };
+    pos = end + (length % 2); // chunks are padded to even sizes
+  }
+}
+
+function riffChunk(type, data) {
+  const padded = data.length % 2;
+  const out = new Uint8Array(8 + data.length + padded);
+  out.set(encoder.encode(type), 0);
+  new DataView(out.buffer).setUint32(4, data.length, true);
+  out.set(data, 8);
+  return out;
+}
+
+function writeUint24(bytes, pos, value) {
+  bytes[pos] = value & 0xff;
+  bytes[pos + 1] = (value >> 8) & 0xff;
+  bytes[pos + 2] = (value >> 16) & 0xff;
+}
+
+function jpegSegment(marker, parts) {
+  const payload = concatBytes(parts);
+  const length = payload.length + 2;
+  return concatBytes([Uint8Array.of(0xff, marker, length >> 8, length & 0xff), payload]);
+}
+
+function pngChunk(type, parts) {
+  const data = concatBytes(parts);
+  const out = new Uint8Array(data.length + 12);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  out.set(encoder.encode(type), 4);
+  out.set(data, 8);
+  view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+  return out;
+}
+
+function forEachIfdEntry(view, offset, little, callback) {
+  const count = view.getUint16(offset, little);
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    callback(view.getUint16(entry, little), view.getUint16(entry + 2, little), entry);
+  }
+  return offset + 2 + count * 12;
+}
+
+function writeTagValue(view, entry, type, value, little) {
+  if (type === TYPE_SHORT) view.setUint16(entry + 8, Math.min(value, 0xffff), little);
+  else if (type === TYPE_LONG) view.setUint32(entry + 8, value, little);
+}
+
+function concatBytes(parts) {
+  const total = parts.reduce((sum, p) => sum + p.length, 0);
+  const out = new Uint8Array(total);
+  let pos = 0;
+  for (const p of parts) {
+    out.set(p, pos);
+    pos += p.length;
+  }
+  return out;
+}
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// zlib streams via the browser's built-in (de)compression
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
@@ -1,39 +1,86 @@
-import * as EXIF_Import from 'exif-js';
-const EXIF = EXIF_Import.default || EXIF_Import;
+import { ExifParser } from './ExifParser.js';
+import { ImageMetadata } from './ImageMetadata.js';
+import { LosslessJpeg, LosslessJpegError } from './LosslessJpeg.js';
+import { Resampler, DEFAULT_SHARPEN } from './Resampler.js';
+import { ImageDecoder } from './ImageDecoder.js';
+import {
+  getOrientationTransform, resolveTransform, getUprightSize, computeLayout, scaleLayout, getOrientationFromTransform,
+  hasEdit, computeEdit, mapPointToEdit
+} from './Geometry.js';
+import { fitToSize, DEFAULT_MIN_QUALITY } from './SizeTarget.js';
+import { getVariantOptions } from './ResponsiveExport.js';
+import { isWatermarkActive, drawWatermark } from './Watermark.js';
+
+// Export formats. Lossy formats take a quality value and support size targeting.
+// Availability of WebP/AVIF depends on the browser's canvas encoder (see detectSupportedFormats).
+const EXPORT_FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg', label: 'JPEG', lossy: true },
+  png: { mimeType: 'image/png', extension: 'png', label: 'PNG', lossy: false },
+  webp: { mimeType: 'image/webp', extension: 'webp', label: 'WebP', lossy: true },
+  avif: { mimeType: 'image/avif', extension: 'avif', label: 'AVIF', lossy: true }
+};
+
+// Quality used for lossy formats when no size cap is set
+const DEFAULT_QUALITY = 0.95;
+
+// Cached results of detectSupportedFormats(), by processor class (the Node one encodes differently)
+const supportedFormats = new Map();
+
+// Watermark logos given to registerLogo: id -> { blob, image }, image being the Promise of
+// the decoded logo once a job has used it
+const registeredLogos = new Map();
 
 export class ImageProcessor {
   /**
-   * Reads the EXIF orientation from a File object.
+   * Reads the orientation from a File object: the container's own transform where the
+   * format has one (HEIF), otherwise the EXIF Orientation tag.
    * @param {File} file 
-   * @returns {Promise<number>} Orientation value (1-8), default 1.
+   * @returns {Promise<number>} Orientation value (1-8), default 1 when the file has no EXIF.
+   * @throws {ExifParseError} When the EXIF block is present but malformed
    */
-  static getOrientation(file) {
-    return new Promise((resolve) => {
-      let accepted = false;
-      const safeResolve = (val) => {
-        if (!accepted) {
-          accepted = true;
-          resolve(val);
-        }
-      };
+  static async getOrientation(file) {
+    const container = await this.getContainerOrientation(file);
+    if (container !== null) return container;
+    const metadata = await ExifParser.parse(file);
+    return metadata ? metadata.orientation : 1;
+  }
 
-      try {
-        EXIF.getData(file, function () {
-          const result = EXIF.getTag(this, "Orientation");
-          safeResolve(result || 1);
-        });
-      } catch (err) {
-        console.warn('EXIF parsing failed:', err);
-        safeResolve(1);
-      }
+  /**
+   * Orientation defined by the image container rather than EXIF.
+   * HEIF stores it as 'irot'/'imir' properties, which take precedence over the
+   * (informational) EXIF tag; a HEIF without them is displayed as stored.
+   * @param {File} file
+   * @returns {Promise<number|null>} EXIF-equivalent orientation (1-8); null for other formats
+   * @throws {ExifParseError} When the HEIF 'meta' box is malformed
+   */
+  static async getContainerOrientation(file) {
+    if (await ImageDecoder.identify(file) !== 'heif') return null;
+    const transform = await ExifParser.readHeifTransform(file);
+    return transform ? getOrientationFromTransform(transform) : 1;
+  }
 
-      setTimeout(() => {
-        if (!accepted) {
-          console.warn('EXIF parsing timed out:', file.name);
-          safeResolve(1);
-        }
-      }, 1500);
-    });
+  /**
+   * Reads the full EXIF metadata (IFD0, Exif IFD, GPS, thumbnail) from a File object.
+   * @param {File} file
+   * @returns {Promise<object|null>} See ExifParser.parseTiff; null when the file has no EXIF
+   * @throws {ExifParseError} When the EXIF block is present but malformed
+   */
+  static getMetadata(file) {
+    return ExifParser.parse(file);
+  }
+
+  /**
+   * @see getOrientationTransform in Geometry.js
+   */
+  static getOrientationTransform(orientation) {
+    return getOrientationTransform(orientation);
+  }
+
+  /**
+   * @see resolveTransform in Geometry.js
+   */
+  static resolveTransform(options) {
+    return resolveTransform(options);
   }
 
   /**
@@ -42,216 +89,707 @@ export class ImageProcessor {
    * @returns {Promise<HTMLImageElement>}
    */
   static loadImage(file) {
+    if (typeof Image === 'undefined') {
+      return Promise.reject(new Error('Image decoding is not available in this context'));
+    }
     return new Promise((resolve, reject) => {
       const img = new Image();
-      img.onload = () => resolve(img);
-      img.onerror = reject;
-      img.src = URL.createObjectURL(file);
+      const url = URL.createObjectURL(file);
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(img);
+      };
+      img.onerror = (err) => {
+        URL.revokeObjectURL(url);
+        reject(err);
+      };
+      img.src = url;
     });
   }
 
+  /**
+   * Creates a drawing surface: a DOM canvas on the main thread,
+   * an OffscreenCanvas inside a worker.
+   * @param {number} width
+   * @param {number} height
+   * @returns {HTMLCanvasElement|OffscreenCanvas}
+   */
+  static createCanvas(width, height) {
+    if (typeof document === 'undefined') {
+      return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  /**
+   * Encodes a canvas created by createCanvas.
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+   * @param {string} mimeType
+   * @param {number} quality
+   * @returns {Promise<Blob>}
+   */
+  static canvasToBlob(canvas, mimeType, quality) {
+    if (canvas.convertToBlob) {
+      return canvas.convertToBlob({ type: mimeType, quality });
+    }
+    return new Promise(res => canvas.toBlob(res, mimeType, quality));
+  }
+
+  /**
+   * Draws a decoded image into rect, mirrored and rotated clockwise as given by resolveTransform.
+   * Scaling follows from the rect size, with separate X/Y factors for 'both-force'.
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+   * @param {ImageBitmap|HTMLImageElement} img
+   * @param {{ rotation: number, flip: boolean }} transform
+   * @param {{ x: number, y: number, width: number, height: number }} rect - Upright target rectangle
+   */
+  static drawOriented(ctx, img, { rotation, flip }, rect) {
+    // Strategy: Translate to center -> Rotate -> Flip/Scale -> Draw.
+    // Canvas applies these to the image in reverse order, so pixels are mirrored
+    // first, then rotated by the combined angle.
+    ctx.save();
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+
+    // Move to center of the draw rectangle (the canvas center unless cropping/padding)
+    ctx.translate(rect.x + rect.width / 2, rect.y + rect.height / 2);
+    ctx.rotate((rotation * Math.PI) / 180);
+
+    // If we rotated 90/270, the "width" of the image maps to the "height" of the canvas.
+    let scaleX = rect.width / img.width;
+    let scaleY = rect.height / img.height;
+    if (rotation === 90 || rotation === 270) {
+      scaleX = rect.height / img.width;
+      scaleY = rect.width / img.height;
+    }
+
+    // Mirror (EXIF 2, 4, 5, 7 and/or manual flips) happens before rotation
+    ctx.scale(flip ? -scaleX : scaleX, scaleY);
+    ctx.drawImage(img, -img.width / 2, -img.height / 2);
+    ctx.restore();
+  }
+
+  /**
+   * Downscales a canvas to width x height.
+   * 'browser' is a single drawImage with high smoothing quality; 'halving' repeatedly
+   * halves the size first so each step only averages 2x2 pixels; 'bicubic' and 'lanczos3'
+   * run the pure-JS Resampler (slower, sharpest result).
+   * @param {HTMLCanvasElement|OffscreenCanvas} source
+   * @param {number} width
+   * @param {number} height
+   * @param {string} [method]
+   * @returns {HTMLCanvasElement|OffscreenCanvas} A new canvas of the requested size
+   */
+  static resample(source, width, height, method = 'browser') {
+    if (Resampler.hasFilter(method)) {
+      const pixels = source.getContext('2d').getImageData(0, 0, source.width, source.height);
+      const target = this.createCanvas(width, height);
+      target.getContext('2d').putImageData(Resampler.resample(pixels, width, height, method), 0, 0);
+      return target;
+    }
+
+    let current = source;
+    if (method === 'halving') {
+      while (current.width / 2 >= width && current.height / 2 >= height) {
+        const half = this.createCanvas(Math.ceil(current.width / 2), Math.ceil(current.height / 2));
+        const halfCtx = half.getContext('2d');
+        halfCtx.imageSmoothingQuality = 'high';
+        halfCtx.drawImage(current, 0, 0, half.width, half.height);
+        current = half;
+      }
+    }
+
+    const target = this.createCanvas(width, height);
+    const targetCtx = target.getContext('2d');
+    targetCtx.imageSmoothingQuality = 'high';
+    targetCtx.drawImage(current, 0, 0, width, height);
+    return target;
+  }
+
+  /**
+   * @see computeLayout in Geometry.js
+   */
+  static computeLayout(uprightW, uprightH, options) {
+    return computeLayout(uprightW, uprightH, options);
+  }
+
+  /**
+   * Decodes an image file to its stored (un-oriented) pixels.
+   * Prefers createImageBitmap so the browser does not apply EXIF orientation on its own;
+   * falls back to an HTMLImageElement where it is unavailable. Formats browsers can't
+   * decode (HEIC, TIFF) go through ImageDecoder and come back as a canvas.
+   * @param {File} file
+   * @param {object} [options]
+   * @param {boolean} [options.preserveColorProfile] - Skip color conversion so an embedded ICC profile stays valid
+   * @returns {Promise<ImageBitmap|HTMLImageElement|HTMLCanvasElement|OffscreenCanvas>}
+   * @throws {DecodeError} When a HEIC/TIFF file cannot be decoded
+   */
+  static async decodeImage(file, { preserveColorProfile = false } = {}) {
+    const format = await ImageDecoder.identify(file);
+    if (format && !ImageDecoder.isNative(format)) {
+      const { data, width, height } = await ImageDecoder.decode(file, format);
+      const canvas = this.createCanvas(width, height);
+      canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+      return canvas;
+    }
+
+    if (typeof createImageBitmap === 'function') {
+      try {
+        return await createImageBitmap(file, {
+          imageOrientation: 'none',
+          colorSpaceConversion: preserveColorProfile ? 'none' : 'default'
+        });
+      } catch (err) {
+        console.warn('createImageBitmap failed, falling back to <img>:', err);
+      }
+    }
+    return this.loadImage(file);
+  }
+
+  /**
+   * Detects which export formats the browser's canvas encoder supports.
+   * Unsupported types make toBlob silently fall back to PNG, so the blob type is checked.
+   * @returns {Promise<Set<string>>} Supported format keys ('jpeg', 'png', 'webp', 'avif')
+   */
+  static async detectSupportedFormats() {
+    if (supportedFormats.has(this)) return supportedFormats.get(this);
+
+    const canvas = this.createCanvas(1, 1);
+    const supported = new Set();
+    for (const [key, { mimeType }] of Object.entries(EXPORT_FORMATS)) {
+      const blob = await this.canvasToBlob(canvas, mimeType, 0.5);
+      if (blob && blob.type === mimeType) supported.add(key);
+    }
+
+    supportedFormats.set(this, supported);
+    return supported;
+  }
+
+  /**
+   * @param {string} mimeType
+   * @returns {boolean} Whether the format takes a quality value
+   */
+  static isLossy(mimeType) {
+    return Object.values(EXPORT_FORMATS).some(f => f.mimeType === mimeType && f.lossy);
+  }
+
+  /**
+   * File extension for an output type. Keeps '.jpeg' when the original used it.
+   * @param {string} mimeType
+   * @param {string} [originalName]
+   * @returns {string}
+   */
+  static getExtension(mimeType, originalName = '') {
+    if (mimeType === 'image/jpeg' && /\.jpeg$/i.test(originalName)) return 'jpeg';
+    const format = Object.values(EXPORT_FORMATS).find(f => f.mimeType === mimeType);
+    return format ? format.extension : 'jpg';
+  }
+
+  /**
+   * @param {string} mimeType
+   * @returns {string} Human-readable name of an output type
+   */
+  static getFormatLabel(mimeType) {
+    const format = Object.values(EXPORT_FORMATS).find(f => f.mimeType === mimeType);
+    return format ? format.label : mimeType;
+  }
+
+  /**
+   * Picks the output MIME type for an export format setting.
+   * @param {File} file
+   * @param {string} exportFormat - 'auto', 'smallest', 'jpeg', 'png', 'webp', 'avif'
+   * @param {number} [maxSizeBytes]
+   * @returns {string}
+   */
+  static resolveMimeType(file, exportFormat, maxSizeBytes) {
+    if (EXPORT_FORMATS[exportFormat]) return EXPORT_FORMATS[exportFormat].mimeType;
+
+    // Auto mode
+    if (maxSizeBytes) {
+      return 'image/jpeg'; // Force a lossy format for compression
+    }
+    return file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+  }
+
+  /**
+   * Encodes a canvas, searching for the highest quality that fits maxSizeBytes.
+   * Below minQuality the canvas is scaled down instead (see fitToSize); formats without
+   * a quality setting are only scaled.
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+   * @param {string} mimeType
+   * @param {number|null} maxSizeBytes
+   * @param {object} [options]
+   * @param {number} [options.minQuality] - Quality floor for the size search
+   * @param {string} [options.resampling] - Filter used when scaling down, see resample()
+   * @param {(message: string) => void} [options.onLog] - Size search messages, see SizeTarget.searchQuality
+   * @returns {Promise<{ blob: Blob, mimeType: string, quality: number|null, scale: number, width: number, height: number }>}
+   *   quality is null for lossless formats; scale < 1 when the dimensions were reduced to fit
+   */
+  static async encodeToSize(canvas, mimeType, maxSizeBytes, { minQuality = DEFAULT_MIN_QUALITY, resampling = 'browser', onLog } = {}) {
+    if (!maxSizeBytes) {
+      const blob = await this.canvasToBlob(canvas, mimeType, DEFAULT_QUALITY);
+      const type = blob.type || mimeType;
+      return {
+        blob,
+        mimeType: type,
+        quality: this.isLossy(type) ? DEFAULT_QUALITY : null,
+        scale: 1,
+        width: canvas.width,
+        height: canvas.height
+      };
+    }
+
+    // The scaled canvas is kept for the scale currently being searched
+    let scaled = { scale: 1, canvas };
+    const getCanvas = (scale) => {
+      if (scaled.scale !== scale) {
+        const width = Math.max(1, Math.round(canvas.width * scale));
+        const height = Math.max(1, Math.round(canvas.height * scale));
+        scaled = { scale, canvas: this.resample(canvas, width, height, resampling) };
+      }
+      return scaled.canvas;
+    };
+
+    const { output: blob, quality, scale } = await fitToSize(
+      (scale, q) => this.canvasToBlob(getCanvas(scale), mimeType, q ?? DEFAULT_QUALITY),
+      maxSizeBytes,
+      { minQuality, lossy: this.isLossy(mimeType), onLog }
+    );
+    const output = getCanvas(scale);
+    return { blob, mimeType, quality, scale, width: output.width, height: output.height };
+  }
+
+  /**
+   * 'smallest' export: encodes the canvas in every supported lossy format at the
+   * default quality and keeps the smallest, then applies size targeting to the winner.
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+   * @param {number|null} maxSizeBytes
+   * @param {object} [options] - See encodeToSize
+   * @returns {Promise<{ blob: Blob, mimeType: string, quality: number|null, scale: number, width: number, height: number }>}
+   */
+  static async encodeSmallest(canvas, maxSizeBytes, options) {
+    const supported = await this.detectSupportedFormats();
+    let best = null;
+
+    for (const [key, { mimeType, lossy }] of Object.entries(EXPORT_FORMATS)) {
+      if (!lossy || !supported.has(key)) continue;
+      const candidate = await this.encodeToSize(canvas, mimeType, null);
+      if (!best || candidate.blob.size < best.blob.size) best = candidate;
+    }
+
+    if (!maxSizeBytes || best.blob.size <= maxSizeBytes) return best;
+    return this.encodeToSize(canvas, best.mimeType, maxSizeBytes, options);
+  }
+
+  /**
+   * Whether a job can skip canvas re-encoding and use the lossless JPEG path.
+   * Only pure rotation/flip jobs qualify: no straighten/crop, no resize, no size cap, no watermark,
+   * JPEG in and out.
+   * Previews never do, since they are downscaled.
+   * @param {File} file
+   * @param {object} options - Same as process()
+   * @returns {boolean}
+   */
+  static canProcessLossless(file, options) {
+    const { lossless, resizeMode = 'none', maxSizeBytes, exportFormat = 'auto', previewMaxSize, watermark = null } = options;
+    const isJpeg = file.type === 'image/jpeg' || /\.jpe?g$/i.test(file.name);
+    return !!lossless && !previewMaxSize && isJpeg && resizeMode === 'none' && !maxSizeBytes
+      && !hasEdit(options) && !isWatermarkActive(watermark) && (exportFormat === 'auto' || exportFormat === 'jpeg');
+  }
+
+  /**
+   * Rotates/flips a JPEG in the DCT domain without re-compressing it.
+   * The ICC profile is always kept since the pixels are untouched; EXIF and XMP
+   * follow stripExif, with Orientation reset to 1.
+   * @param {File} file
+   * @param {object} options - Same as process()
+   * @returns {Promise<{ blob: Blob, mimeType: string, width: number, height: number, quality: null, scale: 1, targetMet: null, lossless: boolean }>}
+   * @throws {LosslessJpegError} When the file cannot be transformed losslessly
+   */
+  static async processLossless(file, options) {
+    const { orientation = 1, manualRotation = 0, flipHorizontal = false, flipVertical = false, stripExif = true } = options;
+    const transform = this.resolveTransform({ orientation, manualRotation, flipHorizontal, flipVertical });
+
+    const source = new Uint8Array(await file.arrayBuffer());
+    const { bytes, width, height } = LosslessJpeg.transform(source, LosslessJpeg.fromTransform(transform));
+
+    const metadata = ImageMetadata.extractFromJpeg(source);
+    if (stripExif) {
+      metadata.exif = null;
+      metadata.xmp = null;
+    }
+
+    const mimeType = 'image/jpeg';
+    const blob = await ImageMetadata.inject(new Blob([bytes], { type: mimeType }), mimeType, metadata, { width, height });
+    return { blob, mimeType, width, height, quality: null, scale: 1, targetMet: null, lossless: true };
+  }
+
   /**
    * Rotates and/or resizes an image.
    * @param {File} file - Original file
    * @param {object} options 
-   * @param {number} options.orientation - EXIF orientation or manual rotation (1, 3, 6, 8)
-   * @param {number} options.manualRotation - Additional manual rotation (0, 90, 180, 270)
-   * @param {string} options.resizeMode - 'none', 'width', 'height', 'both-fit', 'both-force'
+   * @param {number} options.orientation - EXIF orientation (1-8)
+   * @param {number} options.manualRotation - Additional manual rotation (0, 90, 180, 270), applied after the flips
+   * @param {boolean} options.flipHorizontal - Mirror the upright image left-right
+   * @param {boolean} options.flipVertical - Mirror the upright image top-bottom
+   * @param {number} [options.straighten] - Fine rotation of the upright image in degrees (-45 to 45, clockwise),
+   *   auto-cropped to the largest upright rectangle; see Geometry.computeEdit
+   * @param {{ x: number, y: number, width: number, height: number }|null} [options.crop] - 0-1 of the straightened image,
+   *   applied before resizing
+   * @param {string} options.resizeMode - 'none', 'width', 'height', 'both-fit', 'both-force', 'both-cover', 'both-pad'
    * @param {number} options.targetWidth 
    * @param {number} options.targetHeight
-   * @param {boolean} options.stripExif
-   * @returns {Promise<Blob>} processed image blob
+   * @param {{ x: number, y: number }} options.focalPoint - 'both-cover' crop center, 0-1 of the upright image
+   *   (before straighten/crop)
+   * @param {string} options.padColor - 'both-pad' background, CSS color or 'transparent'
+   * @param {string} options.resampling - Downscale filter: 'browser', 'halving', 'bicubic', 'lanczos3'
+   * @param {boolean} options.sharpen - Apply an unsharp mask after downscaling
+   * @param {boolean} options.stripExif - When false, EXIF/XMP/ICC are copied from the original (Orientation reset to 1)
+   * @param {number} options.maxSizeBytes
+   * @param {number} options.minQuality - Quality floor for maxSizeBytes; below it the output is scaled down
+   * @param {string} options.exportFormat - 'auto', 'smallest', 'jpeg', 'png', 'webp', 'avif'
+   * @param {boolean} options.lossless - Rotate JPEGs without re-encoding when no resize/size cap is requested
+   * @param {object|null} [options.watermark] - Drawn onto the output after resizing, see Watermark.drawWatermark;
+   *   an 'image' watermark's logo is a PNG data URL, or logoId names a logo passed to registerLogo
+   * @param {number} [options.previewMaxSize] - Render a preview of the output scaled to fit this many pixels:
+   *   same layout and filters, but no size search and no metadata
+   * @param {object} [hooks]
+   * @param {(stage: string) => void} [hooks.onProgress] - Called with 'decoding', 'transforming', 'encoding'
+   * @param {(message: string) => void} [hooks.onLog] - Size search messages, see SizeTarget.searchQuality
+   * @param {(message: string) => void} [hooks.onWarn] - Problems that don't stop the job, e.g. a lossless
+   *   rotation that had to re-encode; console.warn by default
+   * @returns {Promise<{ blob: Blob, mimeType: string, width: number, height: number, quality: number|null, scale: number, targetMet: boolean|null, sourceWidth?: number, sourceHeight?: number, lossless?: boolean, losslessFallback?: string }>}
+   *   processed image blob; width/height are the output dimensions (also for previews), quality is the
+   *   encoder quality used (null for PNG and lossless rotation), scale < 1 when the output was shrunk to
+   *   meet maxSizeBytes and targetMet whether it did (null without a size cap). sourceWidth/sourceHeight
+   *   are the decoded pixels as stored, before orientation (not set by lossless rotation)
    */
-  static async process(file, options) {
+  static async process(file, options, { onProgress = () => {}, onLog, onWarn = (message) => console.warn(message) } = {}) {
     const {
       orientation = 1,
       manualRotation = 0,
+      flipHorizontal = false,
+      flipVertical = false,
       resizeMode = 'none',
       targetWidth,
       targetHeight,
-      exportFormat = 'auto'
+      exportFormat = 'auto',
+      stripExif = true,
+      focalPoint = { x: 0.5, y: 0.5 },
+      padColor = '#ffffff',
+      resampling = 'browser',
+      sharpen = false,
+      minQuality = DEFAULT_MIN_QUALITY,
+      previewMaxSize = null,
+      watermark = null
     } = options;
 
-    const img = await this.loadImage(file);
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-
-    // Determine MIME Type early
-    let mimeType = 'image/jpeg'; // Default
-    if (exportFormat === 'png') {
-      mimeType = 'image/png';
-    } else if (exportFormat === 'jpeg') {
-      mimeType = 'image/jpeg';
-    } else {
-      // Auto mode
-      if (options.maxSizeBytes) {
-        mimeType = 'image/jpeg'; // Force JPEG for compression
-      } else {
-        mimeType = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+    // Lossless path first; anything it cannot handle goes through the canvas below
+    let losslessFallback = null;
+    if (this.canProcessLossless(file, options)) {
+      try {
+        onProgress('transforming');
+        return await this.processLossless(file, options);
+      } catch (err) {
+        if (!(err instanceof LosslessJpegError)) throw err;
+        onWarn(`Lossless rotation not possible for ${file.name}, re-encoding instead: ${err.message}`);
+        losslessFallback = err.message;
       }
     }
 
-    // 1. Calculate dimensions after rotation
-    // Dimensions swap if rotated 90 or 270 degrees (EXIF 5-8 generally, here focused on 6 & 8)
-    // EXIF 6: 90 CW, EXIF 8: 90 CCW (270 CW)
-    // Plus manual rotation
-
-    // Determine visual width/height after EXIF correction
-    let width = img.width;
-    let height = img.height;
-
-    // Adjust for EXIF orientation dimension swap
-    if (orientation >= 5 && orientation <= 8) {
-      width = img.height;
-      height = img.width;
-    }
-
-    // Adjust for Manual Rotation (swaps again if 90 or 270)
-    // manualRotation is in degrees (0, 90, 180, 270)
-    // We treat manual rotation as applied AFTER EXIF correction for simplicity in logic,
-    // OR we combine angles. Let's do step-by-step canvas transform.
+    // Metadata to carry over. Pixels are decoded without color conversion when an
+    // ICC profile is kept, otherwise the profile would be applied twice by viewers.
+    onProgress('decoding');
+    const metadata = stripExif || previewMaxSize ? null : await ImageMetadata.extract(file);
+    const img = await this.decodeImage(file, { preserveColorProfile: !!(metadata && metadata.icc) });
 
-    // Actually, it's easier to first determine the *target* canvas dimensions based on resize AND rotation.
-    // Let's first resolve the "upright" image dimensions (post-EXIF, pre-resize).
+    // Determine MIME Type early ('smallest' is decided after drawing)
+    const mimeType = this.resolveMimeType(file, exportFormat, options.maxSizeBytes);
 
-    // Visual dimensions after EXIF fix:
-    let uprightW = (orientation >= 5 && orientation <= 8) ? img.height : img.width;
-    let uprightH = (orientation >= 5 && orientation <= 8) ? img.width : img.height;
-
-    // Visual dimensions after Manual Rotation:
-    if (manualRotation === 90 || manualRotation === 270) {
-      [uprightW, uprightH] = [uprightH, uprightW];
+    // 1. Calculate dimensions after rotation
+    // Dimensions swap if the combined EXIF + manual rotation is 90 or 270 degrees.
+    // Flips never change dimensions.
+    let transform = this.resolveTransform({ orientation, manualRotation, flipHorizontal, flipVertical });
+
+    // Visual "upright" dimensions (post-rotation, pre-resize):
+    let { width: uprightW, height: uprightH } = getUprightSize(img.width, img.height, transform.rotation);
+
+    // Straighten and crop at full resolution; the edited image then takes the upright image's place
+    const { width: sourceWidth, height: sourceHeight } = img;
+    let source = img;
+    let focus = focalPoint;
+    if (hasEdit(options)) {
+      onProgress('transforming');
+      const edit = computeEdit(uprightW, uprightH, options);
+      source = this.renderEdited(img, transform, edit);
+      if (img.close) img.close();
+      focus = mapPointToEdit(focalPoint, uprightW, uprightH, edit);
+      transform = { rotation: 0, flip: false };
+      uprightW = edit.width;
+      uprightH = edit.height;
     }
 
-    // 2. Calculate final export dimensions (Resizing)
-    let finalW = uprightW;
-    let finalH = uprightH;
-
-    if (resizeMode === 'width' && targetWidth) {
-      finalW = targetWidth;
-      finalH = (uprightH / uprightW) * targetWidth;
-    } else if (resizeMode === 'height' && targetHeight) {
-      finalH = targetHeight;
-      finalW = (uprightW / uprightH) * targetHeight;
-    } else if (resizeMode === 'both-fit' && targetWidth && targetHeight) {
-      // Fit within box, maintaining aspect ratio
-      const ratio = Math.min(targetWidth / uprightW, targetHeight / uprightH);
-      finalW = uprightW * ratio;
-      finalH = uprightH * ratio;
-    } else if (resizeMode === 'both-force' && targetWidth && targetHeight) {
-      finalW = targetWidth;
-      finalH = targetHeight;
-    }
+    // 2. Calculate final export dimensions (Resizing) and where the upright image lands.
+    // Previews draw the same layout at a reduced scale.
+    const outputLayout = this.computeLayout(uprightW, uprightH, { resizeMode, targetWidth, targetHeight, focalPoint: focus });
+    const layout = previewMaxSize ? scaleLayout(outputLayout, previewMaxSize) : outputLayout;
 
-    finalW = Math.round(finalW);
-    finalH = Math.round(finalH);
+    // 3. Draw to Canvas
+    onProgress('transforming');
+    const canvas = this.renderLayout(source, transform, layout, { mimeType, resizeMode, padColor, exportFormat, resampling, sharpen });
 
-    // Set canvas to final size
-    canvas.width = finalW;
-    canvas.height = finalH;
+    if (source.close) source.close(); // Release ImageBitmap memory
 
-    // 3. Draw to Canvas
-    // To draw correctly, we need to map the transform.
-    // Complex transforms can be tricky.
-    // Strategy: Translate to center -> Rotate -> Scale -> Draw -> (Wait, resizing is scaling).
-
-    // We need to apply TWO rotations: EXIF and Manual.
-    // Let's normalize EXIF rotation to degrees CW.
-    let exifDeg = 0;
-    switch (orientation) {
-      case 3: exifDeg = 180; break;
-      case 6: exifDeg = 90; break;
-      case 8: exifDeg = 270; break;
-      // Mirroring (2, 4, 5, 7) not strictly required by prompt but good to keep in mind. 
-      // Prompt says "Rotate image pixels... Values 1-8".
-      // Let's stick to standard 90 deg steps for now as per prompt "Orientation Reference Table".
+    // 4. Watermark, relative to the drawn size so previews match the output
+    const logo = await this.loadWatermarkLogo(watermark);
+    try {
+      this.applyWatermark(canvas, watermark, logo);
+    } finally {
+      this.releaseWatermarkLogo(watermark, logo);
     }
 
-    const totalDeg = (exifDeg + manualRotation) % 360;
-
-    // Context Save
-    ctx.save();
+    // A preview's size says nothing about the output's, so it is encoded once at the default quality
+    onProgress('encoding');
+    const result = await this.encodeOutput(canvas, mimeType, metadata, {
+      exportFormat, minQuality, resampling, maxSizeBytes: previewMaxSize ? null : options.maxSizeBytes, onLog
+    });
 
-    // Move to center of the canvas
-    ctx.translate(finalW / 2, finalH / 2);
+    result.sourceWidth = sourceWidth;
+    result.sourceHeight = sourceHeight;
+    if (losslessFallback) {
+      result.losslessFallback = losslessFallback;
+    }
+    if (previewMaxSize) {
+      result.width = outputLayout.width;
+      result.height = outputLayout.height;
+    }
+    return result;
+  }
 
-    // Rotate
-    ctx.rotate((totalDeg * Math.PI) / 180);
+  /**
+   * Draws a decoded image into a new canvas of layout.width x layout.height: letterbox
+   * or JPEG background first, then the oriented image at the layout's draw rectangle, downscaled
+   * with the chosen filter.
+   * @param {ImageBitmap|HTMLImageElement|HTMLCanvasElement|OffscreenCanvas} img - Stored pixels
+   * @param {{ rotation: number, flip: boolean }} transform - From resolveTransform
+   * @param {{ width: number, height: number, drawX: number, drawY: number, drawW: number, drawH: number }} layout
+   * @param {object} options - Same as process(), plus:
+   * @param {string} options.mimeType - Output type; JPEG can't keep transparency
+   * @returns {HTMLCanvasElement|OffscreenCanvas}
+   */
+  static renderLayout(img, transform, layout, options) {
+    const { mimeType, resizeMode = 'none', padColor = '#ffffff', exportFormat = 'auto', resampling = 'browser', sharpen = false } = options;
+    const { width: uprightW, height: uprightH } = getUprightSize(img.width, img.height, transform.rotation);
+    const canvas = this.createCanvas(layout.width, layout.height);
+    const ctx = canvas.getContext('2d');
 
-    // Determine scale factors
-    // We are drawing the original image onto the rotated canvas.
-    // If we rotated 90/270, the "width" of the image matches the "height" of the canvas (roughly).
+    // Letterbox background. JPEG has no alpha, so transparent bars and transparent parts of the
+    // image itself (PNG, WebP, HEIC, TIFF input) become white instead of black.
+    const opaque = mimeType === 'image/jpeg' || exportFormat === 'smallest';
+    const background = resizeMode === 'both-pad' && padColor !== 'transparent' ? padColor : opaque ? '#ffffff' : null;
+    if (background) {
+      ctx.fillStyle = background;
+      ctx.fillRect(0, 0, layout.width, layout.height);
+    }
 
-    if (totalDeg === 90 || totalDeg === 270) {
-      // Image width maps to Canvas Height
-      ctx.scale(finalH / img.width, finalW / img.height);
+    const drawRect = { x: layout.drawX, y: layout.drawY, width: layout.drawW, height: layout.drawH };
+    const downscaling = layout.drawW < uprightW || layout.drawH < uprightH;
+    if (!downscaling || (resampling === 'browser' && !sharpen)) {
+      // Single pass: orient and scale straight into the output canvas
+      this.drawOriented(ctx, img, transform, drawRect);
     } else {
-      ctx.scale(finalW / img.width, finalH / img.height);
+      // Orient at full resolution, then downscale with the chosen filter
+      const upright = this.createCanvas(uprightW, uprightH);
+      this.drawOriented(upright.getContext('2d'), img, transform,
+        { x: 0, y: 0, width: uprightW, height: uprightH });
+      const scaled = this.resample(upright, Math.max(1, Math.round(layout.drawW)), Math.max(1, Math.round(layout.drawH)), resampling);
+      if (sharpen) {
+        const scaledCtx = scaled.getContext('2d');
+        const pixels = scaledCtx.getImageData(0, 0, scaled.width, scaled.height);
+        scaledCtx.putImageData(Resampler.unsharpMask(pixels, DEFAULT_SHARPEN), 0, 0);
+      }
+      ctx.drawImage(scaled, layout.drawX, layout.drawY, layout.drawW, layout.drawH);
     }
+    return canvas;
+  }
 
-    // Note: The simple scale above might distort if we are doing aspect-ratio preserving resize but
-    // calculated finalW/finalH correctly.
-    // Actually, if we use separate scale X/Y like above for 'force', it works.
-    // For 'fit' or 'maintain aspect', X scale and Y scale should be identical.
-    // Let's re-verify logic.
-    // If totalDeg 0: Draw width=img.width, but we need it to fill finalW. so scale = finalW / img.width.
-    // If we used 'both-force', finalW/img.width might != finalH/img.height. So non-uniform scaling is correct.
+  /**
+   * Draws the straightened and cropped part of the upright image into a new canvas at full resolution.
+   * @param {ImageBitmap|HTMLImageElement|HTMLCanvasElement|OffscreenCanvas} img - Stored pixels
+   * @param {{ rotation: number, flip: boolean }} transform - From resolveTransform
+   * @param {object} edit - From Geometry.computeEdit
+   * @returns {HTMLCanvasElement|OffscreenCanvas} edit.width x edit.height
+   */
+  static renderEdited(img, transform, edit) {
+    const { width: uprightW, height: uprightH } = getUprightSize(img.width, img.height, transform.rotation);
+    const canvas = this.createCanvas(edit.width, edit.height);
+    const ctx = canvas.getContext('2d');
+    // Frame center at the image center, rotated by the straighten angle, shifted by the crop
+    ctx.translate(edit.frameW / 2 - edit.cropX, edit.frameH / 2 - edit.cropY);
+    ctx.rotate((edit.angle * Math.PI) / 180);
+    this.drawOriented(ctx, img, transform, { x: -uprightW / 2, y: -uprightH / 2, width: uprightW, height: uprightH });
+    return canvas;
+  }
 
-    // Draw Image centered
-    ctx.drawImage(img, -img.width / 2, -img.height / 2);
+  /**
+   * Makes a watermark logo available to jobs whose watermark has this logoId. It is decoded
+   * by the first job that draws it and kept for the following ones.
+   * @param {string} id - From Watermark.getLogoId
+   * @param {Blob} blob - PNG
+   */
+  static registerLogo(id, blob) {
+    if (!registeredLogos.has(id)) registeredLogos.set(id, { blob, image: null });
+  }
 
-    ctx.restore();
+  /**
+   * Decodes the logo of an 'image' watermark.
+   * @param {object|null} watermark
+   * @returns {Promise<ImageBitmap|HTMLImageElement|null>} null when no logo is needed
+   */
+  static async loadWatermarkLogo(watermark) {
+    if (!isWatermarkActive(watermark) || watermark.type !== 'image') return null;
+    if (watermark.logoId) {
+      const logo = registeredLogos.get(watermark.logoId);
+      if (!logo) throw new Error(`Watermark logo ${watermark.logoId} was not registered`);
+      if (!logo.image) {
+        // A failed decode isn't cached, so the next job tries again
+        logo.image = this.decodeImage(logo.blob).catch(err => {
+          logo.image = null;
+          throw err;
+        });
+      }
+      return logo.image;
+    }
+    const blob = await (await fetch(watermark.logo)).blob();
+    return this.decodeImage(blob);
+  }
+
+  /**
+   * Frees a logo from loadWatermarkLogo. Registered logos are kept for later jobs.
+   * @param {object|null} watermark
+   * @param {ImageBitmap|HTMLImageElement|null} logo
+   */
+  static releaseWatermarkLogo(watermark, logo) {
+    if (logo && logo.close && !watermark.logoId) logo.close();
+  }
 
-    return new Promise(async (resolve) => {
-      let quality = 0.95;
+  /**
+   * Draws the watermark onto a rendered canvas. Does nothing when the watermark is off.
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+   * @param {object|null} watermark - See Watermark.drawWatermark
+   * @param {ImageBitmap|HTMLImageElement|null} logo - From loadWatermarkLogo
+   */
+  static applyWatermark(canvas, watermark, logo) {
+    if (!isWatermarkActive(watermark)) return;
+    drawWatermark(canvas.getContext('2d'), canvas.width, canvas.height, watermark, logo);
+  }
 
-      // Helper to get blob at specific quality
-      const getBlob = (q) => new Promise(res => canvas.toBlob(res, mimeType, q));
+  /**
+   * Encodes a rendered canvas with size targeting and re-inserts the carried-over metadata.
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+   * @param {string} mimeType - From resolveMimeType (ignored for 'smallest')
+   * @param {object|null} metadata - From ImageMetadata.extract, null to strip
+   * @param {object} options
+   * @param {string} [options.exportFormat]
+   * @param {number|null} [options.maxSizeBytes]
+   * @param {number} [options.minQuality]
+   * @param {string} [options.resampling]
+   * @param {(message: string) => void} [options.onLog]
+   * @returns {Promise<{ blob: Blob, mimeType: string, width: number, height: number, quality: number|null, scale: number, targetMet: boolean|null }>}
+   */
+  static async encodeOutput(canvas, mimeType, metadata, { exportFormat = 'auto', maxSizeBytes = null, minQuality = DEFAULT_MIN_QUALITY, resampling = 'browser', onLog }) {
+    // Leave room for the metadata re-inserted after encoding
+    const budget = maxSizeBytes ? Math.max(1, maxSizeBytes - ImageMetadata.estimateSize(metadata)) : null;
 
-      // File size limit ONLY works for JPEG
-      if (!options.maxSizeBytes || mimeType === 'image/png') {
-        const blob = await getBlob(quality);
-        resolve({ blob, mimeType });
-        return;
-      }
+    const encodeOptions = { minQuality, resampling, onLog };
+    const result = exportFormat === 'smallest'
+      ? await this.encodeSmallest(canvas, budget, encodeOptions)
+      : await this.encodeToSize(canvas, mimeType, budget, encodeOptions);
 
-      // Binary search for Target File Size (JPEG only via mimeType conversion above)
-      let minQ = 0.01;
-      let maxQ = 1.0;
-      let bestBlob = null;
-      let attempts = 0;
+    if (metadata) {
+      result.blob = await ImageMetadata.inject(result.blob, result.mimeType, metadata, { width: result.width, height: result.height });
+    }
+    result.targetMet = maxSizeBytes ? result.blob.size <= maxSizeBytes : null;
+    return result;
+  }
 
-      // Check max quality first
-      const maxBlob = await getBlob(1.0);
-      console.log(`Initial size at max quality: ${(maxBlob.size / 1024).toFixed(2)} KB (Target: ${(options.maxSizeBytes / 1024).toFixed(2)} KB)`);
+  /**
+   * Responsive export: renders one image at several widths and in several formats.
+   * The file is decoded and oriented once; each variant is drawn from that upright copy
+   * with the layout of getVariantOptions. Widths that would need upscaling are skipped
+   * (the smallest is kept if all would).
+   * @param {File} file
+   * @param {object} options - Same as process(), plus:
+   * @param {number[]} options.variantWidths - Output widths in pixels
+   * @param {string[]} options.variantFormats - 'auto', 'jpeg', 'png', 'webp', 'avif'
+   * @param {object} [hooks] - See process()
+   * @returns {Promise<Array<{ variantWidth: number, format: string, blob: Blob, mimeType: string, width: number, height: number, quality: number|null, scale: number, targetMet: boolean|null }>>}
+   *   Ordered by width, then format
+   */
+  static async processVariants(file, options, { onProgress = () => {}, onLog } = {}) {
+    const {
+      orientation = 1,
+      manualRotation = 0,
+      flipHorizontal = false,
+      flipVertical = false,
+      stripExif = true,
+      minQuality = DEFAULT_MIN_QUALITY,
+      resampling = 'browser',
+      variantWidths,
+      variantFormats,
+      watermark = null
+    } = options;
 
-      if (maxBlob.size <= options.maxSizeBytes) {
-        resolve({ blob: maxBlob, mimeType });
-        return;
-      }
+    onProgress('decoding');
+    const metadata = stripExif ? null : await ImageMetadata.extract(file);
+    const img = await this.decodeImage(file, { preserveColorProfile: !!(metadata && metadata.icc) });
+
+    // Orient, straighten and crop once at full resolution
+    const transform = this.resolveTransform({ orientation, manualRotation, flipHorizontal, flipVertical });
+    const oriented = getUprightSize(img.width, img.height, transform.rotation);
+    const edit = computeEdit(oriented.width, oriented.height, options);
+    const upright = this.renderEdited(img, transform, edit);
+    if (img.close) img.close();
+    const { width: uprightW, height: uprightH } = upright;
+    const identity = { rotation: 0, flip: false };
+    const focalPoint = mapPointToEdit(options.focalPoint || { x: 0.5, y: 0.5 }, oriented.width, oriented.height, edit);
+    const logo = await this.loadWatermarkLogo(watermark);
+
+    const widths = [...new Set(variantWidths)].sort((a, b) => a - b);
+    const planned = widths.map(width => {
+      const variantOptions = getVariantOptions({ ...options, focalPoint }, width);
+      return { width, variantOptions, layout: this.computeLayout(uprightW, uprightH, variantOptions) };
+    });
+    const fitting = planned.filter(({ layout }) => layout.drawW <= uprightW + 0.5 && layout.drawH <= uprightH + 0.5);
 
-      // Increased iterations for better precision (10 attempts)
-      while (attempts < 10) {
-        const midQ = (minQ + maxQ) / 2;
-        const blob = await getBlob(midQ);
+    // 'auto' can resolve to a format that is also listed; encode each type once
+    const formats = new Map();
+    for (const format of variantFormats) {
+      const mimeType = this.resolveMimeType(file, format, options.maxSizeBytes);
+      if (!formats.has(mimeType)) formats.set(mimeType, format);
+    }
 
-        if (blob.size <= options.maxSizeBytes) {
-          bestBlob = blob;
-          minQ = midQ; // Try higher quality
-        } else {
-          maxQ = midQ; // Reduce quality
+    const variants = [];
+    try {
+      for (const { width, variantOptions, layout } of fitting.length ? fitting : planned.slice(0, 1)) {
+        for (const [mimeType, format] of formats) {
+          onProgress('transforming');
+          const canvas = this.renderLayout(upright, identity, layout, { ...variantOptions, exportFormat: format, mimeType });
+          this.applyWatermark(canvas, watermark, logo);
+
+          onProgress('encoding');
+          const result = await this.encodeOutput(canvas, mimeType, metadata, {
+            exportFormat: format, maxSizeBytes: options.maxSizeBytes, minQuality, resampling, onLog
+          });
+          variants.push({ variantWidth: width, format, ...result });
         }
-        attempts++;
-      }
-
-      if (bestBlob) {
-        console.log(`Target size met: ${(bestBlob.size / 1024).toFixed(2)} KB`);
-        resolve({ blob: bestBlob, mimeType });
-      } else {
-        const minBlob = await getBlob(0.01);
-        console.log(`Coult not meet target size. Returning smallest version: ${(minBlob.size / 1024).toFixed(2)} KB`);
-        resolve({ blob: minBlob, mimeType }); // Return lowest quality if fails
       }
-    });
+    } finally {
+      this.releaseWatermarkLogo(watermark, logo);
+    }
+    return variants;
   }
 }
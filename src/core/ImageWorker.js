@@ -0,0 +1,37 @@
+// Worker entry point: runs ImageProcessor.process off the main thread.
+// Decoding uses createImageBitmap and drawing/encoding uses OffscreenCanvas,
+// both picked automatically by ImageProcessor when there is no document.
+//
+// Messages in:  { type: 'process', id, file, options, task }   task: 'process' | 'processVariants'
+//               { type: 'logo', id, blob }   watermark logo for options.watermark.logoId, see registerLogo
+// Messages out: { type: 'progress', id, stage }
+//               { type: 'done', id, result }
+//               { type: 'error', id, error: { name, message } }
+
+import { ImageProcessor } from './ImageProcessor.js';
+
+// ImageProcessor methods a job may run
+const TASKS = ['process', 'processVariants'];
+
+self.addEventListener('message', async (e) => {
+  const { type, id, file, options, task = 'process' } = e.data;
+  if (type === 'logo') {
+    ImageProcessor.registerLogo(id, e.data.blob);
+    return;
+  }
+  if (type !== 'process') return;
+
+  try {
+    if (!TASKS.includes(task)) throw new Error(`Unknown task "${task}"`);
+    const result = await ImageProcessor[task](file, options, {
+      onProgress: (stage) => self.postMessage({ type: 'progress', id, stage })
+    });
+    self.postMessage({ type: 'done', id, result });
+  } catch (err) {
+    self.postMessage({
+      type: 'error',
+      id,
+      error: { name: (err && err.name) || 'Error', message: (err && err.message) || String(err) }
+    });
+  }
+});
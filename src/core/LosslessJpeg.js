@@ -0,0 +1,734 @@
+// Lossless JPEG rotation / flipping in the DCT domain (the jpegtran approach).
+// The entropy-coded data is decoded to quantized DCT coefficients, whole 8x8 blocks are
+// moved around and the coefficients inside each block are transposed / sign-flipped,
+// then everything is Huffman coded again. No pixel is ever decoded, so no quality is lost.
+//
+// Supported: baseline and extended sequential Huffman JPEGs (SOF0/SOF1, 8-bit).
+// Progressive and arithmetic-coded files throw a LosslessJpegError so callers can fall back.
+
+const ZIGZAG = new Uint8Array([
+  0, 1, 8, 16, 9, 2, 3, 10,
+  17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34,
+  27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36,
+  29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46,
+  53, 60, 61, 54, 47, 55, 62, 63
+]);
+
+// Segments dropped from the output: APP1 (EXIF/XMP) and APP2 (ICC) are re-inserted
+// by ImageMetadata with Orientation reset, DHT/DQT/SOF/SOS/DRI are regenerated.
+const REGENERATED_MARKERS = new Set([0xc4, 0xdb, 0xdd, 0xe1, 0xe2]);
+
+export class LosslessJpegError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - 'UNSUPPORTED' | 'NOT_MCU_ALIGNED' | 'CORRUPT'
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'LosslessJpegError';
+    this.code = code;
+  }
+}
+
+export class LosslessJpeg {
+  /**
+   * Converts a "mirror, then rotate clockwise" transform (see ImageProcessor.resolveTransform)
+   * into block operations: an optional transpose followed by reversing input axes.
+   * @param {{ rotation: number, flip: boolean }} transform
+   * @returns {{ transpose: boolean, flipX: boolean, flipY: boolean }}
+   */
+  static fromTransform({ rotation, flip }) {
+    const rad = (rotation * Math.PI) / 180;
+    const cos = Math.round(Math.cos(rad));
+    const sin = Math.round(Math.sin(rad));
+    const sx = flip ? -1 : 1;
+    // Inverse (= transpose) of R(rotation) * diag(sx, 1), mapping output axes to input axes
+    const inv = [[cos * sx, sin * sx], [-sin, cos]];
+    if (cos !== 0) {
+      return { transpose: false, flipX: inv[0][0] < 0, flipY: inv[1][1] < 0 };
+    }
+    return { transpose: true, flipX: inv[0][1] < 0, flipY: inv[1][0] < 0 };
+  }
+
+  /**
+   * Rotates/flips a JPEG without re-encoding its pixels.
+   * @param {Uint8Array} bytes - Source JPEG
+   * @param {{ transpose: boolean, flipX: boolean, flipY: boolean }} op
+   * @returns {{ bytes: Uint8Array, width: number, height: number }}
+   * @throws {LosslessJpegError}
+   */
+  static transform(bytes, op) {
+    const jpeg = parseJpeg(bytes);
+    const { frame } = jpeg;
+
+    // Reversing an axis moves the partial edge MCU to the start of the image,
+    // which cannot be represented without trimming.
+    const mcuW = frame.maxH * 8;
+    const mcuH = frame.maxV * 8;
+    if ((op.flipX && frame.width % mcuW) || (op.flipY && frame.height % mcuH)) {
+      throw new LosslessJpegError(
+        `Image size ${frame.width}x${frame.height} is not a multiple of the ${mcuW}x${mcuH} MCU size`,
+        'NOT_MCU_ALIGNED'
+      );
+    }
+
+    decodeScans(jpeg);
+    const out = transformFrame(jpeg, op);
+    return { bytes: encodeJpeg(jpeg, out), width: out.width, height: out.height };
+  }
+}
+
+// --- Parsing ---
+
+function parseJpeg(bytes) {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) {
+    throw new LosslessJpegError('Not a JPEG file', 'UNSUPPORTED');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const jpeg = {
+    bytes,
+    frame: null,
+    sofMarker: 0xc0,
+    qTables: [],     // natural order, { values: Uint16Array(64), precision }
+    dcTables: [],
+    acTables: [],
+    scans: [],       // { components: [{ component, dcTable, acTable }], dataStart, restartInterval }
+    keptSegments: [] // APPn/COM passed through unchanged
+  };
+  let restartInterval = 0;
+  let pos = 2;
+
+  while (pos < bytes.length) {
+    if (bytes[pos] !== 0xff) throw new LosslessJpegError('Invalid marker structure', 'CORRUPT');
+    const marker = bytes[pos + 1];
+    if (marker === 0xff) {
+      pos++;
+      continue;
+    }
+    if (marker === 0xd9) break;
+
+    const length = view.getUint16(pos + 2);
+    const start = pos + 4;
+    const end = pos + 2 + length;
+
+    if (marker === 0xc0 || marker === 0xc1) {
+      jpeg.sofMarker = marker;
+      jpeg.frame = parseFrame(bytes, view, start);
+    } else if (marker >= 0xc2 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      throw new LosslessJpegError('Progressive, lossless and arithmetic-coded JPEGs are not supported', 'UNSUPPORTED');
+    } else if (marker === 0xdb) {
+      parseQuantTables(bytes, view, start, end, jpeg.qTables);
+    } else if (marker === 0xc4) {
+      parseHuffmanTables(bytes, start, end, jpeg);
+    } else if (marker === 0xdd) {
+      restartInterval = view.getUint16(start);
+    } else if (marker === 0xda) {
+      if (!jpeg.frame) throw new LosslessJpegError('Scan before frame header', 'CORRUPT');
+      const scan = parseScan(bytes, start, jpeg);
+      scan.restartInterval = restartInterval;
+      scan.dataStart = end;
+      jpeg.scans.push(scan);
+      pos = skipEntropyData(bytes, end);
+      continue;
+    } else if (!REGENERATED_MARKERS.has(marker)) {
+      jpeg.keptSegments.push(bytes.subarray(pos, end));
+    }
+    pos = end;
+  }
+
+  if (!jpeg.frame || jpeg.scans.length === 0) {
+    throw new LosslessJpegError('Missing frame or scan data', 'CORRUPT');
+  }
+  return jpeg;
+}
+
+function parseFrame(bytes, view, pos) {
+  const precision = bytes[pos];
+  if (precision !== 8) throw new LosslessJpegError(`${precision}-bit JPEGs are not supported`, 'UNSUPPORTED');
+
+  const height = view.getUint16(pos + 1);
+  const width = view.getUint16(pos + 3);
+  const count = bytes[pos + 5];
+  if (!width || !height) throw new LosslessJpegError('Missing image dimensions', 'UNSUPPORTED');
+
+  const components = [];
+  for (let i = 0; i < count; i++) {
+    const p = pos + 6 + i * 3;
+    components.push({ id: bytes[p], h: bytes[p + 1] >> 4, v: bytes[p + 1] & 15, tq: bytes[p + 2] });
+  }
+
+  const maxH = Math.max(...components.map(c => c.h));
+  const maxV = Math.max(...components.map(c => c.v));
+  const mcusX = Math.ceil(width / (8 * maxH));
+  const mcusY = Math.ceil(height / (8 * maxV));
+
+  for (const c of components) {
+    // Grid padded to whole MCUs, plus the part actually covered by the image
+    c.gridW = mcusX * c.h;
+    c.gridH = mcusY * c.v;
+    c.blocksW = Math.ceil(Math.ceil((width * c.h) / maxH) / 8);
+    c.blocksH = Math.ceil(Math.ceil((height * c.v) / maxV) / 8);
+    c.coefs = new Int16Array(c.gridW * c.gridH * 64);
+  }
+
+  return { width, height, components, maxH, maxV, mcusX, mcusY };
+}
+
+function parseQuantTables(bytes, view, pos, end, tables) {
+  while (pos < end) {
+    const precision = bytes[pos] >> 4;
+    const id = bytes[pos] & 15;
+    const values = new Uint16Array(64);
+    pos++;
+    for (let k = 0; k < 64; k++) {
+      values[ZIGZAG[k]] = precision ? view.getUint16(pos + k * 2) : bytes[pos + k];
+    }
+    pos += precision ? 128 : 64;
+    tables[id] = { values, precision };
+  }
+}
+
+function parseHuffmanTables(bytes, pos, end, jpeg) {
+  while (pos < end) {
+    const tableClass = bytes[pos] >> 4;
+    const id = bytes[pos] & 15;
+    const counts = bytes.subarray(pos + 1, pos + 17);
+    const total = counts.reduce((sum, n) => sum + n, 0);
+    const symbols = bytes.subarray(pos + 17, pos + 17 + total);
+    (tableClass === 0 ? jpeg.dcTables : jpeg.acTables)[id] = buildDecodeTable(counts, symbols);
+    pos += 17 + total;
+  }
+}
+
+function parseScan(bytes, pos, jpeg) {
+  const count = bytes[pos];
+  const components = [];
+  for (let i = 0; i < count; i++) {
+    const id = bytes[pos + 1 + i * 2];
+    const tables = bytes[pos + 2 + i * 2];
+    const component = jpeg.frame.components.find(c => c.id === id);
+    if (!component) throw new LosslessJpegError(`Scan references unknown component ${id}`, 'CORRUPT');
+    components.push({
+      component,
+      dcTable: jpeg.dcTables[tables >> 4],
+      acTable: jpeg.acTables[tables & 15]
+    });
+  }
+  return { components };
+}
+
+function skipEntropyData(bytes, pos) {
+  while (pos < bytes.length - 1) {
+    if (bytes[pos] === 0xff) {
+      const next = bytes[pos + 1];
+      if (next !== 0 && !(next >= 0xd0 && next <= 0xd7) && next !== 0xff) return pos;
+    }
+    pos++;
+  }
+  return bytes.length;
+}
+
+// --- Huffman decoding ---
+
+function buildDecodeTable(counts, symbols) {
+  const maxCode = new Int32Array(18).fill(-1);
+  const valPtr = new Int32Array(17);
+  const minCode = new Int32Array(17);
+  let code = 0;
+  let k = 0;
+  for (let len = 1; len <= 16; len++) {
+    valPtr[len] = k;
+    minCode[len] = code;
+    code += counts[len - 1];
+    k += counts[len - 1];
+    maxCode[len] = counts[len - 1] ? code - 1 : -1;
+    code <<= 1;
+  }
+  maxCode[17] = 0x7fffffff; // sentinel
+  return { maxCode, valPtr, minCode, symbols: symbols.slice() };
+}
+
+class BitReader {
+  constructor(bytes, pos) {
+    this.bytes = bytes;
+    this.pos = pos;
+    this.buffer = 0;
+    this.count = 0;
+  }
+
+  readBit() {
+    if (this.count === 0) {
+      let byte = 0;
+      if (this.pos < this.bytes.length) {
+        byte = this.bytes[this.pos];
+        if (byte === 0xff) {
+          const next = this.bytes[this.pos + 1];
+          if (next === 0) {
+            this.pos += 2;
+          } else {
+            byte = 0; // Hit a marker: feed zeros like libjpeg does
+          }
+        } else {
+          this.pos++;
+        }
+      }
+      this.buffer = byte;
+      this.count = 8;
+    }
+    this.count--;
+    return (this.buffer >> this.count) & 1;
+  }
+
+  receive(length) {
+    let value = 0;
+    for (let i = 0; i < length; i++) value = (value << 1) | this.readBit();
+    return value;
+  }
+
+  decode(table) {
+    if (!table) throw new LosslessJpegError('Missing Huffman table', 'CORRUPT');
+    let code = this.readBit();
+    let len = 1;
+    while (code > table.maxCode[len]) {
+      code = (code << 1) | this.readBit();
+      len++;
+    }
+    if (len > 16) throw new LosslessJpegError('Invalid Huffman code', 'CORRUPT');
+    return table.symbols[table.valPtr[len] + code - table.minCode[len]];
+  }
+
+  /** Skips to the byte after the next RSTn marker. */
+  restart() {
+    this.count = 0;
+    while (this.pos < this.bytes.length - 1) {
+      if (this.bytes[this.pos] === 0xff && this.bytes[this.pos + 1] >= 0xd0 && this.bytes[this.pos + 1] <= 0xd7) {
+        this.pos += 2;
+        return;
+      }
+      this.pos++;
+    }
+  }
+}
+
+function extend(value, length) {
+  return value < 1 << (length - 1) ? value - (1 << length) + 1 : value;
+}
+
+function decodeScans(jpeg) {
+  const { frame, bytes } = jpeg;
+
+  for (const scan of jpeg.scans) {
+    const reader = new BitReader(bytes, scan.dataStart);
+    const preds = new Int32Array(scan.components.length);
+    const single = scan.components.length === 1;
+    // Non-interleaved scans only cover the blocks inside the image
+    const mcusX = single ? scan.components[0].component.blocksW : frame.mcusX;
+    const mcusY = single ? scan.components[0].component.blocksH : frame.mcusY;
+    const total = mcusX * mcusY;
+
+    for (let mcu = 0; mcu < total; mcu++) {
+      if (scan.restartInterval && mcu > 0 && mcu % scan.restartInterval === 0) {
+        reader.restart();
+        preds.fill(0);
+      }
+      const mx = mcu % mcusX;
+      const my = Math.floor(mcu / mcusX);
+
+      scan.components.forEach(({ component: c, dcTable, acTable }, ci) => {
+        const bh = single ? 1 : c.h;
+        const bv = single ? 1 : c.v;
+        for (let v = 0; v < bv; v++) {
+          for (let h = 0; h < bh; h++) {
+            const bx = mx * bh + h;
+            const by = my * bv + v;
+            const offset = (by * c.gridW + bx) * 64;
+
+            const t = reader.decode(dcTable);
+            preds[ci] += t ? extend(reader.receive(t), t) : 0;
+            c.coefs[offset] = preds[ci];
+
+            for (let k = 1; k < 64;) {
+              const rs = reader.decode(acTable);
+              const r = rs >> 4;
+              const s = rs & 15;
+              if (s === 0) {
+                if (r !== 15) break;
+                k += 16;
+                continue;
+              }
+              k += r;
+              if (k > 63) throw new LosslessJpegError('Coefficient index out of range', 'CORRUPT');
+              c.coefs[offset + ZIGZAG[k]] = extend(reader.receive(s), s);
+              k++;
+            }
+          }
+        }
+      });
+    }
+  }
+}
+
+// --- Transform ---
+
+function transformFrame(jpeg, { transpose, flipX, flipY }) {
+  const { frame } = jpeg;
+
+  // Sign pattern per natural-order index: odd horizontal frequencies flip with X,
+  // odd vertical frequencies flip with Y (both measured on the source block).
+  const signs = new Int8Array(64);
+  for (let v = 0; v < 8; v++) {
+    for (let u = 0; u < 8; u++) {
+      signs[v * 8 + u] = (flipX && u % 2 ? -1 : 1) * (flipY && v % 2 ? -1 : 1);
+    }
+  }
+
+  const components = frame.components.map(c => {
+    const gridW = transpose ? c.gridH : c.gridW;
+    const gridH = transpose ? c.gridW : c.gridH;
+    const coefs = new Int16Array(c.coefs.length);
+
+    for (let by = 0; by < gridH; by++) {
+      for (let bx = 0; bx < gridW; bx++) {
+        let sx = transpose ? by : bx;
+        let sy = transpose ? bx : by;
+        if (flipX) sx = c.gridW - 1 - sx;
+        if (flipY) sy = c.gridH - 1 - sy;
+
+        const src = (sy * c.gridW + sx) * 64;
+        const dst = (by * gridW + bx) * 64;
+        for (let i = 0; i < 64; i++) {
+          const from = transpose ? ((i & 7) << 3) | (i >> 3) : i;
+          coefs[dst + i] = c.coefs[src + from] * signs[from];
+        }
+      }
+    }
+
+    return {
+      id: c.id,
+      h: transpose ? c.v : c.h,
+      v: transpose ? c.h : c.v,
+      tq: c.tq,
+      gridW,
+      gridH,
+      coefs
+    };
+  });
+
+  const qTables = jpeg.qTables.map(table => {
+    if (!table || !transpose) return table;
+    const values = new Uint16Array(64);
+    for (let i = 0; i < 64; i++) values[i] = table.values[((i & 7) << 3) | (i >> 3)];
+    return { values, precision: table.precision };
+  });
+
+  const width = transpose ? frame.height : frame.width;
+  const height = transpose ? frame.width : frame.height;
+  const maxH = Math.max(...components.map(c => c.h));
+  const maxV = Math.max(...components.map(c => c.v));
+  for (const c of components) {
+    c.blocksW = Math.ceil(Math.ceil((width * c.h) / maxH) / 8);
+    c.blocksH = Math.ceil(Math.ceil((height * c.v) / maxV) / 8);
+  }
+
+  return {
+    width,
+    height,
+    components,
+    qTables,
+    mcusX: transpose ? frame.mcusY : frame.mcusX,
+    mcusY: transpose ? frame.mcusX : frame.mcusY
+  };
+}
+
+// --- Encoding ---
+
+class ByteWriter {
+  constructor(size) {
+    this.bytes = new Uint8Array(size);
+    this.length = 0;
+  }
+
+  ensure(extra) {
+    if (this.length + extra <= this.bytes.length) return;
+    const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + extra));
+    grown.set(this.bytes.subarray(0, this.length));
+    this.bytes = grown;
+  }
+
+  byte(value) {
+    this.ensure(1);
+    this.bytes[this.length++] = value;
+  }
+
+  word(value) {
+    this.byte(value >> 8);
+    this.byte(value & 0xff);
+  }
+
+  append(data) {
+    this.ensure(data.length);
+    this.bytes.set(data, this.length);
+    this.length += data.length;
+  }
+
+  result() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+class BitWriter {
+  constructor(writer) {
+    this.writer = writer;
+    this.buffer = 0;
+    this.count = 0;
+  }
+
+  write(value, length) {
+    for (let i = length - 1; i >= 0; i--) {
+      this.buffer = (this.buffer << 1) | ((value >> i) & 1);
+      this.count++;
+      if (this.count === 8) {
+        this.writer.byte(this.buffer);
+        if (this.buffer === 0xff) this.writer.byte(0); // byte stuffing
+        this.buffer = 0;
+        this.count = 0;
+      }
+    }
+  }
+
+  flush() {
+    if (this.count > 0) this.write(0x7f, 8 - this.count); // pad with 1 bits
+  }
+}
+
+function bitLength(value) {
+  let n = 0;
+  for (value = Math.abs(value); value; value >>= 1) n++;
+  return n;
+}
+
+/**
+ * Walks every block of a scan in MCU order, reporting Huffman symbols and extra bits.
+ * Used twice: once to gather statistics, once to emit the bitstream.
+ */
+function walkScan(frame, scanComponents, onSymbol) {
+  const single = scanComponents.length === 1;
+  // Non-interleaved scans only cover the blocks inside the image
+  const blocksX = single ? scanComponents[0].blocksW : frame.mcusX;
+  const blocksY = single ? scanComponents[0].blocksH : frame.mcusY;
+  const preds = new Int32Array(scanComponents.length);
+
+  for (let my = 0; my < blocksY; my++) {
+    for (let mx = 0; mx < blocksX; mx++) {
+      scanComponents.forEach((c, ci) => {
+        const bh = single ? 1 : c.h;
+        const bv = single ? 1 : c.v;
+        for (let v = 0; v < bv; v++) {
+          for (let h = 0; h < bh; h++) {
+            const offset = ((my * bv + v) * c.gridW + mx * bh + h) * 64;
+            const tables = c.tableId;
+
+            const diff = c.coefs[offset] - preds[ci];
+            preds[ci] = c.coefs[offset];
+            const size = bitLength(diff);
+            onSymbol(0, tables, size, diff < 0 ? diff - 1 : diff, size);
+
+            let run = 0;
+            for (let k = 1; k < 64; k++) {
+              const value = c.coefs[offset + ZIGZAG[k]];
+              if (value === 0) {
+                run++;
+                continue;
+              }
+              while (run > 15) {
+                onSymbol(1, tables, 0xf0, 0, 0);
+                run -= 16;
+              }
+              const s = bitLength(value);
+              onSymbol(1, tables, (run << 4) | s, value < 0 ? value - 1 : value, s);
+              run = 0;
+            }
+            if (run > 0) onSymbol(1, tables, 0x00, 0, 0);
+          }
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Builds an optimal length-limited Huffman table from symbol frequencies
+ * (JPEG spec Annex K.2, as in libjpeg's jpeg_gen_optimal_table).
+ */
+function buildOptimalTable(freq) {
+  const f = Array.from(freq);
+  f[256] = 1; // reserve one code point so no code is all 1 bits
+  const codeSize = new Array(257).fill(0);
+  const others = new Array(257).fill(-1);
+
+  for (;;) {
+    let c1 = -1;
+    let c2 = -1;
+    let v = Infinity;
+    for (let i = 0; i <= 256; i++) {
+      if (f[i] && f[i] <= v) {
+        v = f[i];
+        c1 = i;
+      }
+    }
+    v = Infinity;
+    for (let i = 0; i <= 256; i++) {
+      if (f[i] && f[i] <= v && i !== c1) {
+        v = f[i];
+        c2 = i;
+      }
+    }
+    if (c2 < 0) break;
+
+    f[c1] += f[c2];
+    f[c2] = 0;
+    codeSize[c1]++;
+    while (others[c1] >= 0) {
+      c1 = others[c1];
+      codeSize[c1]++;
+    }
+    others[c1] = c2;
+    codeSize[c2]++;
+    while (others[c2] >= 0) {
+      c2 = others[c2];
+      codeSize[c2]++;
+    }
+  }
+
+  const bits = new Array(33).fill(0);
+  for (let i = 0; i <= 256; i++) {
+    if (codeSize[i]) bits[codeSize[i]]++;
+  }
+
+  // Limit code lengths to 16 bits
+  for (let i = 32; i > 16; i--) {
+    while (bits[i] > 0) {
+      let j = i - 2;
+      while (bits[j] === 0) j--;
+      bits[i] -= 2;
+      bits[i - 1]++;
+      bits[j + 1] += 2;
+      bits[j]--;
+    }
+  }
+  // Remove the reserved code point
+  let i = 16;
+  while (bits[i] === 0) i--;
+  bits[i]--;
+
+  const symbols = [];
+  for (let len = 1; len <= 32; len++) {
+    for (let s = 0; s < 256; s++) {
+      if (codeSize[s] === len) symbols.push(s);
+    }
+  }
+
+  const counts = bits.slice(1, 17);
+  const codes = new Uint16Array(256);
+  const lengths = new Uint8Array(256);
+  let code = 0;
+  let k = 0;
+  for (let len = 1; len <= 16; len++) {
+    for (let n = 0; n < counts[len - 1]; n++) {
+      codes[symbols[k]] = code++;
+      lengths[symbols[k]] = len;
+      k++;
+    }
+    code <<= 1;
+  }
+
+  return { counts, symbols, codes, lengths };
+}
+
+function encodeJpeg(jpeg, out) {
+  const writer = new ByteWriter(jpeg.bytes.length + 1024);
+  writer.word(0xffd8);
+
+  // Pass-through segments (JFIF APP0, Adobe APP14, COM ...)
+  for (const segment of jpeg.keptSegments) writer.append(segment);
+
+  // DQT
+  out.qTables.forEach((table, id) => {
+    if (!table) return;
+    writer.word(0xffdb);
+    writer.word(2 + 1 + (table.precision ? 128 : 64));
+    writer.byte((table.precision << 4) | id);
+    for (let k = 0; k < 64; k++) {
+      if (table.precision) writer.word(table.values[ZIGZAG[k]]);
+      else writer.byte(table.values[ZIGZAG[k]]);
+    }
+  });
+
+  // SOF
+  writer.word(0xff00 | jpeg.sofMarker);
+  writer.word(8 + out.components.length * 3);
+  writer.byte(8);
+  writer.word(out.height);
+  writer.word(out.width);
+  writer.byte(out.components.length);
+  for (const c of out.components) {
+    writer.byte(c.id);
+    writer.byte((c.h << 4) | c.v);
+    writer.byte(c.tq);
+  }
+
+  // Luma uses table 0, chroma shares table 1
+  out.components.forEach((c, i) => c.tableId = i === 0 ? 0 : 1);
+
+  // Interleave all components in one scan when the MCU fits the 10-block limit
+  const blocksPerMcu = out.components.reduce((sum, c) => sum + c.h * c.v, 0);
+  const scans = out.components.length > 1 && out.components.length <= 4 && blocksPerMcu <= 10
+    ? [out.components]
+    : out.components.map(c => [c]);
+
+  // Statistics pass for optimized Huffman tables
+  const freqs = [[new Uint32Array(257), new Uint32Array(257)], [new Uint32Array(257), new Uint32Array(257)]];
+  for (const scan of scans) {
+    walkScan(out, scan, (tableClass, id, symbol) => freqs[tableClass][id][symbol]++);
+  }
+  const tables = freqs.map(byId => byId.map(freq => (freq.some(Boolean) ? buildOptimalTable(freq) : null)));
+
+  // DHT
+  tables.forEach((byId, tableClass) => byId.forEach((table, id) => {
+    if (!table) return;
+    writer.word(0xffc4);
+    writer.word(2 + 17 + table.symbols.length);
+    writer.byte((tableClass << 4) | id);
+    table.counts.forEach(n => writer.byte(n));
+    table.symbols.forEach(s => writer.byte(s));
+  }));
+
+  // Scans
+  for (const scan of scans) {
+    writer.word(0xffda);
+    writer.word(6 + scan.length * 2);
+    writer.byte(scan.length);
+    for (const c of scan) {
+      writer.byte(c.id);
+      writer.byte((c.tableId << 4) | c.tableId);
+    }
+    writer.byte(0);   // Ss
+    writer.byte(63);  // Se
+    writer.byte(0);   // Ah/Al
+
+    const bits = new BitWriter(writer);
+    walkScan(out, scan, (tableClass, id, symbol, extra, extraLength) => {
+      const table = tables[tableClass][id];
+      bits.write(table.codes[symbol], table.lengths[symbol]);
+      if (extraLength) bits.write(extra, extraLength);
+    });
+    bits.flush();
+  }
+
+  writer.word(0xffd9);
+  return writer.result();
+}
@@ -0,0 +1,90 @@
+// Orientation sanity check: looks for files whose pixels were already rotated by an
+// editor that left the EXIF Orientation tag in place, so auto-fix would rotate them twice.
+// Pure functions on parsed metadata and the decoded size.
+
+import { getOrientationTransform, getUprightSize } from './Geometry.js';
+
+/**
+ * Compares what the Orientation tag implies with the other evidence in the file.
+ * Only orientations 5-8 are checked: a quarter turn swaps width and height, which makes a
+ * stale tag visible, while a 180° turn or a flip leaves no trace in the dimensions.
+ *
+ * Each source describes the upright picture as the camera saw it:
+ * - PixelXDimension/PixelYDimension: size of the pixels as captured
+ * - the EXIF thumbnail: usually written by the camera and never touched by editors,
+ *   stored like the main image (its own Orientation tag in IFD1 takes precedence)
+ * @param {object} input
+ * @param {number} input.orientation - The file's EXIF Orientation (1-8)
+ * @param {number} input.width - Stored (decoded) pixel width
+ * @param {number} input.height - Stored (decoded) pixel height
+ * @param {object|null} input.metadata - From ExifParser.parse
+ * @returns {{ suspect: boolean, checks: Array<{ source: string, agrees: boolean, detail: string }> }|null}
+ *   null when the orientation can't be checked or the file holds no usable evidence.
+ *   suspect when at least one source disagrees with the tag and none agrees.
+ */
+export function checkOrientation({ orientation, width, height, metadata }) {
+  const { rotation } = getOrientationTransform(orientation);
+  if (!metadata || (rotation !== 90 && rotation !== 270) || width === height) return null;
+
+  const applied = getUprightSize(width, height, rotation);
+  const checks = [];
+  const compare = (source, expected, description) => {
+    const shape = getShape(expected.width, expected.height);
+    if (shape === 'square') return;
+    const agrees = shape === getShape(applied.width, applied.height);
+    checks.push({
+      source,
+      agrees,
+      detail: `${description} is ${shape}; rotating by the tag gives ${getShape(applied.width, applied.height)}`
+    });
+  };
+
+  const exif = metadata.exif || {};
+  const pixelW = exif.PixelXDimension;
+  const pixelH = exif.PixelYDimension;
+  if (pixelW > 0 && pixelH > 0) {
+    compare('PixelXDimension/PixelYDimension', getUprightSize(pixelW, pixelH, rotation),
+      `The captured ${pixelW}×${pixelH} image, turned upright,`);
+  }
+
+  const thumbSize = metadata.thumbnail ? readJpegSize(metadata.thumbnail) : null;
+  if (thumbSize) {
+    const thumbRotation = getOrientationTransform(metadata.thumbnailOrientation || orientation).rotation;
+    compare('EXIF thumbnail', getUprightSize(thumbSize.width, thumbSize.height, thumbRotation),
+      `The ${thumbSize.width}×${thumbSize.height} embedded thumbnail, turned upright,`);
+  }
+
+  if (checks.length === 0) return null;
+  return { suspect: checks.every(check => !check.agrees), checks };
+}
+
+/**
+ * Reads the dimensions from a JPEG's start-of-frame marker.
+ * @param {Uint8Array} bytes
+ * @returns {{ width: number, height: number }|null} null when the data is not a readable JPEG
+ */
+export function readJpegSize(bytes) {
+  if (bytes.length < 4 || bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+  let pos = 2;
+  while (pos + 9 <= bytes.length) {
+    if (bytes[pos] !== 0xff) return null;
+    const marker = bytes[pos + 1];
+    if (marker === 0xff) {
+      pos++; // Fill byte
+      continue;
+    }
+    // SOF0-SOF15 except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      const height = (bytes[pos + 5] << 8) | bytes[pos + 6];
+      const width = (bytes[pos + 7] << 8) | bytes[pos + 8];
+      return width && height ? { width, height } : null;
+    }
+    if (marker === 0xda || marker === 0xd9) return null; // Scan data before any frame header
+    pos += 2 + ((bytes[pos + 2] << 8) | bytes[pos + 3]);
+  }
+  return null;
+}
+
+function getShape(width, height) {
+  return width > height ? 'landscape' : width < height ? 'portrait' : 'square';
+}
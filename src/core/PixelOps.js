@@ -0,0 +1,43 @@
+// Pure-JS pixel operations on { data, width, height } RGBA buffers (ImageData-shaped),
+// for code paths without a canvas: the Node pipeline and JS decoders.
+
+import { getUprightSize } from './Geometry.js';
+
+/**
+ * Applies a "mirror, then rotate clockwise" transform to an RGBA buffer.
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} image
+ * @param {{ rotation: number, flip: boolean }} transform
+ * @returns {{ data: Uint8ClampedArray, width: number, height: number }} image itself when the transform is the identity
+ */
+export function orientPixels(image, { rotation, flip }) {
+  if (rotation === 0 && !flip) return image;
+
+  const { data, width: w, height: h } = image;
+  const { width, height } = getUprightSize(w, h, rotation);
+  const out = new Uint8ClampedArray(data.length);
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const mx = flip ? w - 1 - x : x;
+      let ux = mx;
+      let uy = y;
+      if (rotation === 90) {
+        ux = h - 1 - y;
+        uy = mx;
+      } else if (rotation === 180) {
+        ux = w - 1 - mx;
+        uy = h - 1 - y;
+      } else if (rotation === 270) {
+        ux = y;
+        uy = w - 1 - mx;
+      }
+      const s = (y * w + x) * 4;
+      const d = (uy * width + ux) * 4;
+      out[d] = data[s];
+      out[d + 1] = data[s + 1];
+      out[d + 2] = data[s + 2];
+      out[d + 3] = data[s + 3];
+    }
+  }
+  return { data: out, width, height };
+}
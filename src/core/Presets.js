@@ -0,0 +1,270 @@
+// Processing presets: the default settings, validation of stored and imported presets,
+// and the JSON file format used to share them. Pure functions, no storage access.
+
+import { DEFAULT_MIN_QUALITY } from './SizeTarget.js';
+import { DEFAULT_TEMPLATE, DEFAULT_ZIP_NAME, findUnknownTokens } from './FileNaming.js';
+import { DEFAULT_VARIANT_WIDTHS, VARIANT_FORMATS } from './ResponsiveExport.js';
+import { WATERMARK_ANCHORS, WATERMARK_FONTS, MAX_LOGO_BYTES } from './Watermark.js';
+
+// Identifies preset files written by serializePresets
+export const PRESET_FILE_TYPE = 'image-fix-presets';
+export const PRESET_FILE_VERSION = 1;
+
+export const MAX_PRESET_NAME_LENGTH = 60;
+
+// Every setting a preset stores, with the value used when it is missing
+export const DEFAULT_SETTINGS = {
+  autoFix: true,
+  trustPixels: false, // Ignore the Orientation tag of files the orientation check flags
+  manualRotation: 0, // 0, 90, 180, 270
+  resizeMode: 'none', // none, width, height, both-fit, both-force, both-cover, both-pad
+  targetWidth: null,
+  targetHeight: null,
+  padColor: '#ffffff',
+  padTransparent: false,
+  resampling: 'browser', // browser, halving, bicubic, lanczos3
+  sharpen: false,
+  maxSizeBytes: null,
+  minQuality: DEFAULT_MIN_QUALITY, // Size-target quality floor, 0-1
+  stripExif: true,
+  lossless: false,
+  exportFormat: 'auto',
+  skipFailed: true, // Download the rest of a batch when some files fail
+  outputMode: 'download', // download (one file, or a ZIP), folder (File System Access API)
+  nameTemplate: DEFAULT_TEMPLATE, // See FileNaming.formatFileName
+  zipName: DEFAULT_ZIP_NAME,
+  keepFolders: false, // Recreate dropped folders inside the ZIP
+  variantsEnabled: false, // Responsive export: every image at several widths/formats
+  variantWidths: DEFAULT_VARIANT_WIDTHS,
+  variantFormats: ['auto'],
+  variantHtml: true, // Add picture.html with <picture>/srcset markup
+  variantManifest: true, // Add manifest.json
+  watermarkType: 'none', // none, text, image
+  watermarkText: '',
+  watermarkFont: 'sans-serif',
+  watermarkColor: '#ffffff',
+  watermarkLogo: null, // PNG data URL
+  watermarkAnchor: 'bottom-right',
+  watermarkTextSize: 0.05, // Text height, fraction of the output's shorter side
+  watermarkLogoSize: 0.2, // Logo width, fraction of the output's shorter side
+  watermarkMargin: 0.03, // Fraction of the output's shorter side
+  watermarkOpacity: 0.5
+};
+
+const MAX_DIMENSION = 16384;
+
+// Validators return an error message, or null when the value is acceptable
+const isBoolean = (value) => (typeof value === 'boolean' ? null : 'expected true or false');
+const oneOf = (values) => (value) => (values.includes(value)
+  ? null
+  : `expected one of ${values.map(v => JSON.stringify(v)).join(', ')}`);
+const wholeNumber = (min, max) => (value) => (Number.isInteger(value) && value >= min && value <= max
+  ? null
+  : `expected a whole number between ${min} and ${max}`);
+const nullable = (validate) => (value) => (value === null ? null : validate(value));
+const fraction = (min, max) => (value) => (typeof value === 'number' && value >= min && value <= max
+  ? null
+  : `expected a number between ${min} and ${max}`);
+const isColor = (value) => (/^#[0-9a-f]{6}$/i.test(value) ? null : 'expected a color like "#ffffff"');
+
+// Base64 grows the logo by a third
+const MAX_LOGO_URL_LENGTH = 'data:image/png;base64,'.length + Math.ceil(MAX_LOGO_BYTES / 3) * 4;
+
+const SETTING_VALIDATORS = {
+  autoFix: isBoolean,
+  trustPixels: isBoolean,
+  manualRotation: oneOf([0, 90, 180, 270]),
+  resizeMode: oneOf(['none', 'width', 'height', 'both-fit', 'both-force', 'both-cover', 'both-pad']),
+  targetWidth: nullable(wholeNumber(1, MAX_DIMENSION)),
+  targetHeight: nullable(wholeNumber(1, MAX_DIMENSION)),
+  padColor: isColor,
+  padTransparent: isBoolean,
+  resampling: oneOf(['browser', 'halving', 'bicubic', 'lanczos3']),
+  sharpen: isBoolean,
+  maxSizeBytes: nullable(wholeNumber(1, Number.MAX_SAFE_INTEGER)),
+  minQuality: fraction(0.01, 1),
+  stripExif: isBoolean,
+  lossless: isBoolean,
+  exportFormat: oneOf(['auto', 'smallest', 'jpeg', 'png', 'webp', 'avif']),
+  skipFailed: isBoolean,
+  outputMode: oneOf(['download', 'folder']),
+  nameTemplate: (value) => {
+    if (typeof value !== 'string' || !value.trim()) return 'expected a non-empty template';
+    const unknown = findUnknownTokens(value);
+    return unknown.length ? `unknown token ${unknown.join(', ')}` : null;
+  },
+  zipName: (value) => (typeof value === 'string' && /\.zip$/i.test(value) ? null : 'expected a file name ending in .zip'),
+  keepFolders: isBoolean,
+  variantsEnabled: isBoolean,
+  variantWidths: (value) => (Array.isArray(value) && value.length > 0 && value.every(w => !wholeNumber(1, MAX_DIMENSION)(w))
+    ? null
+    : `expected a non-empty list of whole numbers between 1 and ${MAX_DIMENSION}`),
+  variantFormats: (value) => (Array.isArray(value) && value.length > 0 && value.every(f => VARIANT_FORMATS.includes(f))
+    ? null
+    : `expected a non-empty list of ${VARIANT_FORMATS.map(f => JSON.stringify(f)).join(', ')}`),
+  variantHtml: isBoolean,
+  variantManifest: isBoolean,
+  watermarkType: oneOf(['none', 'text', 'image']),
+  watermarkText: (value) => (typeof value === 'string' ? null : 'expected text'),
+  watermarkFont: oneOf(WATERMARK_FONTS),
+  watermarkColor: isColor,
+  watermarkLogo: nullable((value) => (typeof value === 'string' && value.length <= MAX_LOGO_URL_LENGTH
+    && /^data:image\/png;base64,[A-Za-z0-9+/]+={0,2}$/.test(value)
+    ? null
+    : `expected a PNG data URL of at most ${MAX_LOGO_BYTES / 1024} KB`)),
+  watermarkAnchor: oneOf(WATERMARK_ANCHORS),
+  watermarkTextSize: fraction(0.01, 1),
+  watermarkLogoSize: fraction(0.01, 1),
+  watermarkMargin: fraction(0, 0.25),
+  watermarkOpacity: fraction(0, 1)
+};
+
+/**
+ * Thrown when stored or imported settings don't describe a valid preset.
+ */
+export class PresetError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - 'INVALID_JSON' | 'INVALID_FILE' | 'INVALID_PRESET'
+   * @param {string[]} [errors] - One message per problem, prefixed with its location
+   */
+  constructor(message, code, errors = []) {
+    super(errors.length ? `${message}:\n${errors.join('\n')}` : message);
+    this.name = 'PresetError';
+    this.code = code;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Picks the preset settings out of a larger object (such as the app state).
+ * @param {object} source
+ * @returns {object}
+ */
+export function pickSettings(source) {
+  const settings = {};
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    settings[key] = key in source ? source[key] : DEFAULT_SETTINGS[key];
+  }
+  return settings;
+}
+
+/**
+ * Checks a settings object. Missing settings take their defaults, so presets written
+ * before a setting existed still load; unknown settings are rejected as likely typos.
+ * @param {*} settings
+ * @param {string} [path] - Location used in error messages
+ * @returns {object} Complete settings
+ * @throws {PresetError} Listing every invalid setting
+ */
+export function validateSettings(settings, path = 'settings') {
+  if (!isPlainObject(settings)) {
+    throw new PresetError('Invalid preset', 'INVALID_PRESET', [`${path}: expected an object`]);
+  }
+  const errors = [];
+  for (const [key, value] of Object.entries(settings)) {
+    // Own keys only, so '__proto__' or 'toString' are unknown settings like any other typo
+    const error = Object.prototype.hasOwnProperty.call(SETTING_VALIDATORS, key)
+      ? SETTING_VALIDATORS[key](value)
+      : 'unknown setting';
+    if (error) errors.push(`${path}.${key}: ${error}`);
+  }
+  if (errors.length) throw new PresetError('Invalid preset', 'INVALID_PRESET', errors);
+  return pickSettings(settings);
+}
+
+/**
+ * Checks a { name, settings } preset.
+ * @param {*} preset
+ * @param {string} [path] - Location used in error messages
+ * @returns {{ name: string, settings: object }}
+ * @throws {PresetError}
+ */
+export function validatePreset(preset, path = 'preset') {
+  if (!isPlainObject(preset)) {
+    throw new PresetError('Invalid preset', 'INVALID_PRESET', [`${path}: expected an object with name and settings`]);
+  }
+  const errors = [];
+  const nameError = checkName(preset.name);
+  if (nameError) errors.push(`${path}.name: ${nameError}`);
+  let settings = null;
+  try {
+    settings = validateSettings(preset.settings, `${path}.settings`);
+  } catch (err) {
+    errors.push(...err.errors);
+  }
+  if (errors.length) throw new PresetError('Invalid preset', 'INVALID_PRESET', errors);
+  return { name: preset.name.trim(), settings };
+}
+
+/**
+ * Writes presets as a shareable JSON file.
+ * @param {Array<{ name: string, settings: object }>} presets
+ * @returns {string} JSON
+ */
+export function serializePresets(presets) {
+  return JSON.stringify({
+    type: PRESET_FILE_TYPE,
+    version: PRESET_FILE_VERSION,
+    presets: presets.map(({ name, settings }) => ({ name, settings: pickSettings(settings) }))
+  }, null, 2) + '\n';
+}
+
+/**
+ * Reads a preset file written by serializePresets. A single { name, settings } object
+ * is accepted too. The whole file is rejected if any preset in it is invalid.
+ * @param {string} text
+ * @returns {Array<{ name: string, settings: object }>}
+ * @throws {PresetError} With every problem found
+ */
+export function parsePresetFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new PresetError(`Not a JSON file (${err.message})`, 'INVALID_JSON');
+  }
+
+  if (isPlainObject(data) && !('presets' in data) && 'settings' in data) {
+    return [validatePreset(data)];
+  }
+  if (!isPlainObject(data) || data.type !== PRESET_FILE_TYPE || !Array.isArray(data.presets)) {
+    throw new PresetError('Not a preset file: expected an exported preset list', 'INVALID_FILE');
+  }
+  if (data.version !== PRESET_FILE_VERSION) {
+    throw new PresetError(`Unsupported preset file version ${JSON.stringify(data.version)}`, 'INVALID_FILE');
+  }
+
+  const errors = [];
+  const presets = [];
+  const names = new Set();
+  data.presets.forEach((preset, index) => {
+    try {
+      const valid = validatePreset(preset, `presets[${index}]`);
+      if (names.has(valid.name.toLowerCase())) {
+        errors.push(`presets[${index}].name: duplicate name "${valid.name}"`);
+      }
+      names.add(valid.name.toLowerCase());
+      presets.push(valid);
+    } catch (err) {
+      errors.push(...err.errors);
+    }
+  });
+  if (data.presets.length === 0) errors.push('presets: the list is empty');
+  if (errors.length) throw new PresetError('Invalid preset file', 'INVALID_PRESET', errors);
+  return presets;
+}
+
+/**
+ * @param {*} name
+ * @returns {string|null} Why the name is invalid, null when it is fine
+ */
+export function checkName(name) {
+  if (typeof name !== 'string' || !name.trim()) return 'expected a non-empty name';
+  if (name.trim().length > MAX_PRESET_NAME_LENGTH) return `expected at most ${MAX_PRESET_NAME_LENGTH} characters`;
+  return null;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,213 @@
+// Pure-JS resampling on ImageData.
+// Browsers downscale with a cheap bilinear/box filter that aliases badly on large
+// reductions; a windowed-sinc (Lanczos3) or bicubic kernel keeps fine detail without moiré.
+
+const FILTERS = {
+  // Lanczos windowed sinc, a = 3
+  lanczos3: {
+    radius: 3,
+    weight(x) {
+      if (x === 0) return 1;
+      if (x <= -3 || x >= 3) return 0;
+      const px = Math.PI * x;
+      return (3 * Math.sin(px) * Math.sin(px / 3)) / (px * px);
+    }
+  },
+  // Catmull-Rom (bicubic, a = -0.5)
+  bicubic: {
+    radius: 2,
+    weight(x) {
+      const a = -0.5;
+      x = Math.abs(x);
+      if (x < 1) return ((a + 2) * x - (a + 3)) * x * x + 1;
+      if (x < 2) return ((a * x - 5 * a) * x + 8 * a) * x - 4 * a;
+      return 0;
+    }
+  }
+};
+
+// Default unsharp-mask settings for the post-downscale sharpening pass
+export const DEFAULT_SHARPEN = { amount: 0.6, radius: 0.8, threshold: 2 };
+
+export class Resampler {
+  /**
+   * @param {string} name
+   * @returns {boolean} Whether name is a filter this module implements
+   */
+  static hasFilter(name) {
+    return Object.prototype.hasOwnProperty.call(FILTERS, name);
+  }
+
+  /**
+   * Resizes ImageData with a separable convolution filter.
+   * Works in premultiplied alpha so transparent edges don't bleed dark fringes.
+   * Any { data, width, height } RGBA object is accepted, so this also runs in Node.
+   * @param {ImageData} src
+   * @param {number} dstW
+   * @param {number} dstH
+   * @param {string} [filterName] - 'lanczos3' or 'bicubic'
+   * @returns {ImageData}
+   */
+  static resample(src, dstW, dstH, filterName = 'lanczos3') {
+    const filter = FILTERS[filterName] || FILTERS.lanczos3;
+    const { width: srcW, height: srcH, data } = src;
+
+    // Horizontal pass: srcW x srcH -> dstW x srcH (premultiplied floats)
+    const xWeights = computeWeights(srcW, dstW, filter);
+    const tmp = new Float32Array(dstW * srcH * 4);
+    for (let y = 0; y < srcH; y++) {
+      const row = y * srcW * 4;
+      for (let x = 0; x < dstW; x++) {
+        const { start, weights } = xWeights[x];
+        let r = 0, g = 0, b = 0, a = 0;
+        for (let i = 0; i < weights.length; i++) {
+          const p = row + (start + i) * 4;
+          const alpha = data[p + 3];
+          const w = weights[i] * alpha / 255;
+          r += data[p] * w;
+          g += data[p + 1] * w;
+          b += data[p + 2] * w;
+          a += alpha * weights[i];
+        }
+        const o = (y * dstW + x) * 4;
+        tmp[o] = r;
+        tmp[o + 1] = g;
+        tmp[o + 2] = b;
+        tmp[o + 3] = a;
+      }
+    }
+
+    // Vertical pass: dstW x srcH -> dstW x dstH, then un-premultiply
+    const yWeights = computeWeights(srcH, dstH, filter);
+    const out = new Uint8ClampedArray(dstW * dstH * 4);
+    for (let y = 0; y < dstH; y++) {
+      const { start, weights } = yWeights[y];
+      for (let x = 0; x < dstW; x++) {
+        let r = 0, g = 0, b = 0, a = 0;
+        for (let i = 0; i < weights.length; i++) {
+          const p = ((start + i) * dstW + x) * 4;
+          const w = weights[i];
+          r += tmp[p] * w;
+          g += tmp[p + 1] * w;
+          b += tmp[p + 2] * w;
+          a += tmp[p + 3] * w;
+        }
+        const o = (y * dstW + x) * 4;
+        const scale = a > 0 ? 255 / a : 0;
+        out[o] = r * scale;
+        out[o + 1] = g * scale;
+        out[o + 2] = b * scale;
+        out[o + 3] = a;
+      }
+    }
+
+    return createImageData(out, dstW, dstH);
+  }
+
+  /**
+   * Sharpens ImageData in place: pixel + amount * (pixel - gaussianBlur(pixel)).
+   * Differences below threshold are left alone so flat areas don't get noisy.
+   * @param {ImageData} image
+   * @param {object} [options]
+   * @param {number} [options.amount] - Strength, 0-2
+   * @param {number} [options.radius] - Gaussian sigma in pixels
+   * @param {number} [options.threshold] - Minimum difference (0-255) to sharpen
+   * @returns {ImageData}
+   */
+  static unsharpMask(image, { amount, radius, threshold } = DEFAULT_SHARPEN) {
+    const { width, height, data } = image;
+    const kernel = gaussianKernel(radius);
+    const half = (kernel.length - 1) / 2;
+    const tmp = new Float32Array(width * height * 3);
+    const blurred = new Float32Array(width * height * 3);
+
+    // Separable blur of the color channels (alpha is left untouched)
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let r = 0, g = 0, b = 0;
+        for (let k = 0; k < kernel.length; k++) {
+          const sx = Math.min(width - 1, Math.max(0, x + k - half));
+          const p = (y * width + sx) * 4;
+          r += data[p] * kernel[k];
+          g += data[p + 1] * kernel[k];
+          b += data[p + 2] * kernel[k];
+        }
+        const o = (y * width + x) * 3;
+        tmp[o] = r;
+        tmp[o + 1] = g;
+        tmp[o + 2] = b;
+      }
+    }
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let r = 0, g = 0, b = 0;
+        for (let k = 0; k < kernel.length; k++) {
+          const sy = Math.min(height - 1, Math.max(0, y + k - half));
+          const p = (sy * width + x) * 3;
+          r += tmp[p] * kernel[k];
+          g += tmp[p + 1] * kernel[k];
+          b += tmp[p + 2] * kernel[k];
+        }
+        const o = (y * width + x) * 3;
+        blurred[o] = r;
+        blurred[o + 1] = g;
+        blurred[o + 2] = b;
+      }
+    }
+
+    for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+      for (let c = 0; c < 3; c++) {
+        const diff = data[i + c] - blurred[j + c];
+        if (Math.abs(diff) >= threshold) data[i + c] = data[i + c] + amount * diff;
+      }
+    }
+    return image;
+  }
+}
+
+/**
+ * Precomputes normalized filter taps for every output coordinate along one axis.
+ * When downscaling, the kernel is stretched by the scale factor to act as a low-pass filter.
+ */
+function computeWeights(srcSize, dstSize, filter) {
+  const scale = srcSize / dstSize;
+  const stretch = Math.max(1, scale);
+  const support = filter.radius * stretch;
+  const result = new Array(dstSize);
+
+  for (let i = 0; i < dstSize; i++) {
+    const center = (i + 0.5) * scale - 0.5;
+    const first = Math.max(0, Math.ceil(center - support));
+    const last = Math.min(srcSize - 1, Math.floor(center + support));
+    const weights = new Float32Array(last - first + 1);
+    let sum = 0;
+    for (let j = first; j <= last; j++) {
+      const w = filter.weight((j - center) / stretch);
+      weights[j - first] = w;
+      sum += w;
+    }
+    if (sum !== 0) {
+      for (let k = 0; k < weights.length; k++) weights[k] /= sum;
+    }
+    result[i] = { start: first, weights };
+  }
+  return result;
+}
+
+// ImageData where it exists (browser, workers), a plain equivalent in Node
+function createImageData(data, width, height) {
+  return typeof ImageData === 'function' ? new ImageData(data, width, height) : { data, width, height };
+}
+
+function gaussianKernel(sigma) {
+  const half = Math.max(1, Math.ceil(sigma * 3));
+  const kernel = new Float32Array(half * 2 + 1);
+  let sum = 0;
+  for (let i = -half; i <= half; i++) {
+    const w = Math.exp(-(i * i) / (2 * sigma * sigma));
+    kernel[i + half] = w;
+    sum += w;
+  }
+  for (let i = 0; i < kernel.length; i++) kernel[i] /= sum;
+  return kernel;
+}
@@ -0,0 +1,122 @@
+// Responsive export profile: variant layouts, file names, and the <picture> snippet and
+// JSON manifest describing the variants. Pure functions, no DOM access.
+
+export const DEFAULT_VARIANT_WIDTHS = [480, 960, 1920];
+
+export const VARIANT_FORMATS = ['auto', 'jpeg', 'png', 'webp', 'avif'];
+
+// <source> order in the snippet: the browser takes the first type it supports
+const SOURCE_ORDER = ['image/avif', 'image/webp', 'image/png', 'image/jpeg'];
+
+/**
+ * Parses a list of widths such as "480, 960 1920".
+ * @param {string} text
+ * @returns {number[]} Sorted, without duplicates
+ * @throws {Error} Naming the first invalid entry, or when the list is empty
+ */
+export function parseWidths(text) {
+  const parts = String(text).split(/[\s,;]+/).filter(Boolean);
+  if (parts.length === 0) throw new Error('Enter at least one width');
+  const widths = parts.map(part => {
+    const width = Number(part.replace(/w$/i, ''));
+    if (!Number.isInteger(width) || width < 1 || width > 16384) {
+      throw new Error(`Invalid width "${part}": use whole pixels between 1 and 16384`);
+    }
+    return width;
+  });
+  return [...new Set(widths)].sort((a, b) => a - b);
+}
+
+/**
+ * Process options for one variant width. Box modes (cover, pad, force) keep the box's
+ * aspect ratio at the new width; every other mode becomes a width resize of the upright image.
+ * @param {object} options - ImageProcessor.process options
+ * @param {number} width
+ * @returns {object}
+ */
+export function getVariantOptions(options, width) {
+  const { resizeMode, targetWidth, targetHeight } = options;
+  const isBox = ['both-cover', 'both-pad', 'both-force'].includes(resizeMode) && targetWidth && targetHeight;
+  return isBox
+    ? { ...options, targetWidth: width, targetHeight: Math.max(1, Math.round((width * targetHeight) / targetWidth)) }
+    : { ...options, resizeMode: 'width', targetWidth: width };
+}
+
+/**
+ * Adds the width suffix before the extension: photo.jpg -> photo-960w.jpg
+ * @param {string} fileName
+ * @param {number} width - The variant's requested width, so names stay predictable
+ * @returns {string}
+ */
+export function getVariantFileName(fileName, width) {
+  const dot = fileName.lastIndexOf('.');
+  return dot > 0
+    ? `${fileName.slice(0, dot)}-${width}w${fileName.slice(dot)}`
+    : `${fileName}-${width}w`;
+}
+
+/**
+ * Builds one <picture> element per image: a <source> per modern format and an <img>
+ * fallback (JPEG, else PNG, else the first format), all with width descriptors.
+ * @param {Array<{ source: string, variants: Array<{ path: string, width: number, height: number, mimeType: string }> }>} images
+ * @param {object} [options]
+ * @param {string} [options.sizes] - The sizes attribute
+ * @returns {string} HTML
+ */
+export function buildPictureHtml(images, { sizes = '100vw' } = {}) {
+  return images.map(({ source, variants }) => {
+    const byType = new Map();
+    for (const variant of variants) {
+      if (!byType.has(variant.mimeType)) byType.set(variant.mimeType, []);
+      byType.get(variant.mimeType).push(variant);
+    }
+    const types = [...byType.keys()].sort((a, b) => rank(a) - rank(b));
+    const fallbackType = ['image/jpeg', 'image/png'].find(type => byType.has(type)) || types[0];
+
+    const srcset = (list) => list
+      .slice()
+      .sort((a, b) => a.width - b.width)
+      .map(variant => `${encodePath(variant.path)} ${variant.width}w`)
+      .join(', ');
+
+    const fallback = byType.get(fallbackType).reduce((a, b) => (b.width > a.width ? b : a));
+    const lines = [`<!-- ${escapeHtml(source)} -->`, '<picture>'];
+    for (const type of types) {
+      if (type === fallbackType) continue;
+      lines.push(`  <source type="${type}" srcset="${escapeHtml(srcset(byType.get(type)))}" sizes="${escapeHtml(sizes)}">`);
+    }
+    lines.push(`  <img src="${escapeHtml(encodePath(fallback.path))}" srcset="${escapeHtml(srcset(byType.get(fallbackType)))}" sizes="${escapeHtml(sizes)}"`
+      + ` width="${fallback.width}" height="${fallback.height}" alt="" loading="lazy" decoding="async">`);
+    lines.push('</picture>');
+    return lines.join('\n');
+  }).join('\n\n') + '\n';
+}
+
+/**
+ * Machine-readable list of all variants, for build scripts and CMS imports.
+ * @param {Array<{ source: string, variants: Array<{ path: string, width: number, height: number, mimeType: string, bytes: number }> }>} images
+ * @returns {string} JSON
+ */
+export function buildManifest(images) {
+  return JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    images: images.map(({ source, variants }) => ({
+      source,
+      variants: variants.map(({ path, width, height, mimeType, bytes }) => ({ path, width, height, mimeType, bytes }))
+    }))
+  }, null, 2) + '\n';
+}
+
+function rank(mimeType) {
+  const index = SOURCE_ORDER.indexOf(mimeType);
+  return index === -1 ? SOURCE_ORDER.length : index;
+}
+
+// Relative URL for a ZIP entry path; commas and spaces would break srcset
+function encodePath(path) {
+  return path.split('/').map(encodeURIComponent).join('/');
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
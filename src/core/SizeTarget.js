@@ -0,0 +1,105 @@
+// Size-target search shared by the browser and Node pipelines.
+// Pure apart from the injected encoder and log.
+
+// Lowest quality fitToSize accepts before it starts reducing dimensions
+export const DEFAULT_MIN_QUALITY = 0.6;
+
+// fitToSize gives up below this fraction of the original dimensions
+const MIN_SCALE = 0.1;
+
+// Encoded size grows roughly with the pixel count; the estimate aims this much lower
+const SCALE_MARGIN = 0.95;
+
+/**
+ * Searches for the highest encoder quality whose output fits maxSizeBytes.
+ * The encoder is injected so the same search drives canvas encoding in the browser
+ * and the pure-JS codecs in Node.
+ * @param {(quality: number) => Promise<{ size: number }>} encode - Quality is 0-1
+ * @param {number} maxSizeBytes
+ * @param {object} [options]
+ * @param {number} [options.attempts] - Binary search steps after the max-quality probe
+ * @param {number} [options.minQuality] - Lowest quality tried
+ * @param {(message: string) => void} [options.onLog] - Receives the search's progress messages; console.log by default
+ * @returns {Promise<{ output: { size: number }, quality: number, met: boolean }>}
+ *   When nothing fits, the output at minQuality with met = false
+ */
+export async function searchQuality(encode, maxSizeBytes, { attempts = 10, minQuality = 0.01, onLog = defaultLog } = {}) {
+  let minQ = minQuality;
+  let maxQ = 1.0;
+  let best = null;
+
+  // Check max quality first
+  const maxOutput = await encode(1.0);
+  onLog(`Initial size at max quality: ${(maxOutput.size / 1024).toFixed(2)} KB (Target: ${(maxSizeBytes / 1024).toFixed(2)} KB)`);
+  if (maxOutput.size <= maxSizeBytes) {
+    return { output: maxOutput, quality: 1.0, met: true };
+  }
+
+  // The floor itself decides whether a search is worth it
+  const minOutput = await encode(minQuality);
+  if (minOutput.size > maxSizeBytes) {
+    onLog(`Target size not met at quality ${minQuality}: ${(minOutput.size / 1024).toFixed(2)} KB`);
+    return { output: minOutput, quality: minQuality, met: false };
+  }
+  best = { output: minOutput, quality: minQuality, met: true };
+
+  for (let i = 0; i < attempts; i++) {
+    const midQ = (minQ + maxQ) / 2;
+    const output = await encode(midQ);
+
+    if (output.size <= maxSizeBytes) {
+      best = { output, quality: midQ, met: true };
+      minQ = midQ; // Try higher quality
+    } else {
+      maxQ = midQ; // Reduce quality
+    }
+  }
+
+  onLog(`Target size met: ${(best.output.size / 1024).toFixed(2)} KB`);
+  return best;
+}
+
+/**
+ * Fits an image under maxSizeBytes without degrading it past a quality floor:
+ * searches quality down to minQuality first, then shrinks the dimensions step by step
+ * (estimated from how far off the last attempt was) and searches again.
+ * @param {(scale: number, quality: number) => Promise<{ size: number }>} encodeAt -
+ *   Encodes the image resized by scale (0-1] at the given quality
+ * @param {number} maxSizeBytes
+ * @param {object} [options]
+ * @param {number} [options.minQuality] - Quality floor, 0-1
+ * @param {boolean} [options.lossy] - false for formats without a quality setting: only the size is reduced
+ * @param {number} [options.attempts] - See searchQuality
+ * @param {(message: string) => void} [options.onLog] - See searchQuality
+ * @returns {Promise<{ output: { size: number }, quality: number|null, scale: number, met: boolean }>}
+ *   When nothing fits, the smallest attempt with met = false
+ */
+export async function fitToSize(encodeAt, maxSizeBytes, { minQuality = DEFAULT_MIN_QUALITY, lossy = true, attempts = 10, onLog = defaultLog } = {}) {
+  let scale = 1;
+  for (;;) {
+    const current = scale;
+    const result = lossy
+      ? await searchQuality(q => encodeAt(current, q), maxSizeBytes, { attempts, minQuality, onLog })
+      : await encodeOnce(encodeAt, current, maxSizeBytes);
+    if (result.met) return { ...result, scale };
+
+    // Size is roughly proportional to the pixel count; shrink by at least 5%, at most half
+    const estimate = Math.sqrt(maxSizeBytes / result.output.size) * SCALE_MARGIN;
+    const nextScale = scale * Math.min(0.95, Math.max(0.5, estimate));
+    if (nextScale < MIN_SCALE) {
+      onLog(`Could not meet target size above ${MIN_SCALE * 100}% scale. Returning smallest version: ${(result.output.size / 1024).toFixed(2)} KB`);
+      return { ...result, scale };
+    }
+    onLog(`Reducing dimensions to ${(nextScale * 100).toFixed(1)}% to meet target size`);
+    scale = nextScale;
+  }
+}
+
+function defaultLog(message) {
+  console.log(message);
+}
+
+async function encodeOnce(encodeAt, scale, maxSizeBytes) {
+  const output = await encodeAt(scale, null);
+  return { output, quality: null, met: output.size <= maxSizeBytes };
+}
@@ -0,0 +1,122 @@
+// Watermark stage: a text line or a PNG logo drawn onto the finished output.
+// Size and margin are fractions of the output's shorter side, so a watermark looks the
+// same on every resize mode, orientation and preview scale.
+
+export const WATERMARK_ANCHORS = [
+  'top-left', 'top', 'top-right',
+  'left', 'center', 'right',
+  'bottom-left', 'bottom', 'bottom-right'
+];
+
+// Generic and web-safe families only: workers can't use the page's web fonts
+export const WATERMARK_FONTS = ['sans-serif', 'serif', 'monospace', 'Arial', 'Georgia', 'Courier New', 'Impact'];
+
+// Logos are kept as data URLs in settings and presets; this keeps them within localStorage limits
+export const MAX_LOGO_BYTES = 512 * 1024;
+
+/**
+ * Whether a watermark has anything to draw.
+ * @param {object|null} watermark - See drawWatermark
+ * @returns {boolean}
+ */
+export function isWatermarkActive(watermark) {
+  if (!watermark) return false;
+  if (watermark.type === 'text') return !!(watermark.text && watermark.text.trim());
+  if (watermark.type === 'image') return !!(watermark.logo || watermark.logoId);
+  return false;
+}
+
+/**
+ * Short id of a logo data URL, so options and cache keys can name a logo without carrying it.
+ * @param {string} dataUrl
+ * @returns {string}
+ */
+export function getLogoId(dataUrl) {
+  // FNV-1a over the UTF-16 code units
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < dataUrl.length; i++) {
+    hash ^= dataUrl.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `${dataUrl.length.toString(36)}-${(hash >>> 0).toString(36)}`;
+}
+
+/**
+ * Places a watermark of markW x markH at an anchor of the output, inset by the margin.
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @param {number} markW
+ * @param {number} markH
+ * @param {string} anchor - One of WATERMARK_ANCHORS
+ * @param {number} margin - Pixels
+ * @returns {{ x: number, y: number }} Top-left corner
+ */
+export function placeWatermark(width, height, markW, markH, anchor, margin) {
+  const [vertical, horizontal] = anchor.includes('-')
+    ? anchor.split('-')
+    : ['left', 'right'].includes(anchor) ? ['center', anchor] : [anchor, 'center'];
+  const x = horizontal === 'left' ? margin : horizontal === 'right' ? width - markW - margin : (width - markW) / 2;
+  const y = vertical === 'top' ? margin : vertical === 'bottom' ? height - markH - margin : (height - markH) / 2;
+  return { x, y };
+}
+
+/**
+ * Draws a watermark onto a rendered output canvas.
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {object} watermark
+ * @param {string} watermark.type - 'text' or 'image'
+ * @param {string} watermark.text
+ * @param {string} watermark.font - CSS font family
+ * @param {string} watermark.color - CSS color of the text
+ * @param {number} watermark.opacity - 0-1
+ * @param {string} watermark.anchor - One of WATERMARK_ANCHORS
+ * @param {number} watermark.margin - Fraction of the shorter side
+ * @param {number} watermark.size - Fraction of the shorter side: text height, or logo width
+ * @param {ImageBitmap|HTMLImageElement|HTMLCanvasElement|OffscreenCanvas|null} logo - Decoded logo for 'image'
+ */
+export function drawWatermark(ctx, width, height, watermark, logo) {
+  const shortSide = Math.min(width, height);
+  const margin = watermark.margin * shortSide;
+  // Never larger than the output minus the margins
+  const maxW = Math.max(1, width - 2 * margin);
+  const maxH = Math.max(1, height - 2 * margin);
+
+  ctx.save();
+  ctx.globalAlpha = watermark.opacity;
+
+  if (watermark.type === 'image' && logo) {
+    let markW = watermark.size * shortSide;
+    let markH = (markW * logo.height) / logo.width;
+    const fit = Math.min(1, maxW / markW, maxH / markH);
+    markW *= fit;
+    markH *= fit;
+    const { x, y } = placeWatermark(width, height, markW, markH, watermark.anchor, margin);
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(logo, x, y, markW, markH);
+  } else if (watermark.type === 'text') {
+    const text = watermark.text.trim();
+    let fontSize = watermark.size * shortSide;
+    ctx.font = `${fontSize}px ${quoteFamily(watermark.font)}`;
+    const textW = ctx.measureText(text).width;
+    if (textW > maxW) {
+      fontSize *= maxW / textW;
+      ctx.font = `${fontSize}px ${quoteFamily(watermark.font)}`;
+    }
+    const metrics = ctx.measureText(text);
+    // Bounding box of the glyphs actually drawn, so anchoring looks even at every edge
+    const ascent = metrics.actualBoundingBoxAscent || fontSize * 0.8;
+    const descent = metrics.actualBoundingBoxDescent || fontSize * 0.2;
+    const { x, y } = placeWatermark(width, height, metrics.width, ascent + descent, watermark.anchor, margin);
+    ctx.fillStyle = watermark.color;
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillText(text, x, y + ascent);
+  }
+
+  ctx.restore();
+}
+
+function quoteFamily(family) {
+  return /^(sans-serif|serif|monospace)$/.test(family) ? family : `"${family}"`;
+}
@@ -0,0 +1,201 @@
+import { ImageProcessor } from './ImageProcessor.js';
+
+/**
+ * Error used to reject jobs that were cancelled before they finished.
+ */
+export class CancelledError extends Error {
+  constructor(message = 'Processing cancelled') {
+    super(message);
+    this.name = 'CancelledError';
+  }
+}
+
+/**
+ * Runs ImageProcessor jobs in a pool of Web Workers.
+ * Jobs beyond the concurrency limit wait in a FIFO queue. Cancelling terminates
+ * busy workers (there is no way to interrupt an encode) and they are respawned on demand.
+ * When workers or OffscreenCanvas are unavailable, jobs run on the main thread one at a time.
+ */
+export class WorkerPool {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.concurrency] - Defaults to hardwareConcurrency - 1, capped at 4
+   */
+  constructor({ concurrency } = {}) {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    // Each worker holds a full decoded bitmap, so keep the pool small for 24MP photos
+    this.concurrency = concurrency || Math.max(1, Math.min(4, cores - 1));
+    this.useWorkers = WorkerPool.isSupported();
+    if (!this.useWorkers) this.concurrency = 1;
+
+    this.idle = [];
+    this.busy = new Map(); // worker -> job
+    this.queue = [];
+    this.nextId = 1;
+    this.logos = new Map(); // Watermark logo blobs by id, sent to every worker once
+  }
+
+  /**
+   * Workers need OffscreenCanvas with convertToBlob to draw and encode.
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined'
+      && typeof OffscreenCanvas !== 'undefined'
+      && typeof OffscreenCanvas.prototype.convertToBlob === 'function'
+      && typeof createImageBitmap === 'function';
+  }
+
+  /**
+   * Queues a file for processing.
+   * @param {File} file
+   * @param {object} options - ImageProcessor.process options
+   * @param {object} [hooks]
+   * @param {(stage: string) => void} [hooks.onProgress] - 'queued', 'decoding', 'transforming', 'encoding'
+   * @param {AbortSignal} [hooks.signal] - Drops the job if it is still queued; a running job finishes
+   * @param {string} [hooks.task] - ImageProcessor method to run: 'process' or 'processVariants'
+   * @returns {Promise<object>} Result of the ImageProcessor method; rejects with CancelledError on cancel() or abort
+   */
+  run(file, options, { onProgress = () => {}, signal, task = 'process' } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new CancelledError());
+        return;
+      }
+
+      const job = { id: this.nextId++, file, options, task, onProgress, resolve, reject };
+      this.queue.push(job);
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          const index = this.queue.indexOf(job);
+          if (index === -1) return;
+          this.queue.splice(index, 1);
+          reject(new CancelledError());
+        }, { once: true });
+      }
+      onProgress('queued');
+      this.pump();
+    });
+  }
+
+  /**
+   * Makes a watermark logo available to jobs whose watermark.logoId is id, so options don't
+   * have to carry the logo itself. Each worker receives it once.
+   * @param {string} id - From Watermark.getLogoId
+   * @param {Blob} blob - PNG
+   */
+  setLogo(id, blob) {
+    if (this.logos.has(id)) return;
+    this.logos.set(id, blob);
+    if (!this.useWorkers) {
+      ImageProcessor.registerLogo(id, blob);
+      return;
+    }
+    for (const worker of [...this.idle, ...this.busy.keys()]) {
+      worker.postMessage({ type: 'logo', id, blob });
+    }
+  }
+
+  /**
+   * Rejects every queued and running job with CancelledError.
+   */
+  cancel() {
+    const error = new CancelledError();
+
+    for (const job of this.queue.splice(0)) job.reject(error);
+
+    for (const [worker, job] of this.busy) {
+      // Main-thread jobs are keyed by a Symbol and cannot be stopped, only ignored
+      if (typeof worker !== 'symbol') worker.terminate();
+      job.cancelled = true;
+      job.reject(error);
+    }
+    this.busy.clear();
+  }
+
+  /**
+   * Terminates all workers. The pool can still be used afterwards.
+   */
+  destroy() {
+    this.cancel();
+    this.idle.forEach(worker => worker.terminate());
+    this.idle = [];
+  }
+
+  pump() {
+    while (this.queue.length && this.busy.size < this.concurrency) {
+      const job = this.queue.shift();
+      if (this.useWorkers) {
+        this.runInWorker(this.idle.pop() || this.spawn(), job);
+      } else {
+        this.runOnMainThread(job);
+      }
+    }
+  }
+
+  spawn() {
+    const worker = new Worker(new URL('./ImageWorker.js', import.meta.url), { type: 'module' });
+    for (const [id, blob] of this.logos) worker.postMessage({ type: 'logo', id, blob });
+    return worker;
+  }
+
+  runInWorker(worker, job) {
+    this.busy.set(worker, job);
+
+    const finish = () => {
+      worker.removeEventListener('message', onMessage);
+      worker.removeEventListener('error', onError);
+      if (job.cancelled) return; // already rejected and terminated
+      this.busy.delete(worker);
+      this.idle.push(worker);
+      this.pump();
+    };
+
+    const onMessage = (e) => {
+      const { type, id } = e.data;
+      if (id !== job.id) return;
+      if (type === 'progress') {
+        job.onProgress(e.data.stage);
+      } else if (type === 'done') {
+        finish();
+        job.resolve(e.data.result);
+      } else if (type === 'error') {
+        finish();
+        const error = new Error(e.data.error.message);
+        error.name = e.data.error.name;
+        job.reject(error);
+      }
+    };
+
+    const onError = (e) => {
+      // Uncaught error inside the worker: discard it rather than reuse a broken instance
+      worker.removeEventListener('message', onMessage);
+      worker.removeEventListener('error', onError);
+      worker.terminate();
+      this.busy.delete(worker);
+      job.reject(new Error(e.message || 'Worker crashed'));
+      this.pump();
+    };
+
+    worker.addEventListener('message', onMessage);
+    worker.addEventListener('error', onError);
+    worker.postMessage({ type: 'process', id: job.id, file: job.file, options: job.options, task: job.task });
+  }
+
+  async runOnMainThread(job) {
+    // Fallback path: the current DOM canvas pipeline, one file at a time
+    const key = Symbol(job.id);
+    this.busy.set(key, job);
+    try {
+      const result = await ImageProcessor[job.task](job.file, job.options, { onProgress: job.onProgress });
+      if (!job.cancelled) job.resolve(result);
+    } catch (err) {
+      if (!job.cancelled) job.reject(err);
+    } finally {
+      if (!job.cancelled) {
+        this.busy.delete(key);
+        this.pump();
+      }
+    }
+  }
+}
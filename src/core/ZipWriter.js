@@ -0,0 +1,178 @@
+// Streaming ZIP writer: every entry is handed to the sink as soon as it is added, so
+// only the central directory (a few dozen bytes per entry) stays in memory. Entries are
+// stored uncompressed, since images are compressed already, which lets the file data go
+// to the sink as the original blob. ZIP64 records are added once the archive passes
+// 4 GB or 65535 entries.
+
+const MAX_UINT32 = 0xffffffff;
+const MAX_UINT16 = 0xffff;
+
+// Bit 11: file names are UTF-8
+const FLAG_UTF8 = 0x0800;
+const VERSION_DEFAULT = 20;
+const VERSION_ZIP64 = 45;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export class ZipWriter {
+  /**
+   * @param {(data: Blob) => Promise<void>|void} write - Receives the archive in order;
+   *   the writer waits for each write before the next
+   */
+  constructor(write) {
+    this.write = write;
+    this.offset = 0;
+    this.entries = [];
+    this.closed = false;
+  }
+
+  /**
+   * Appends a file. The blob is read once, in chunks, for its checksum.
+   * @param {string} path - Entry path with '/' separators
+   * @param {Blob} blob - Up to 4 GB
+   * @param {Date} [date] - Modification time shown by archive tools
+   */
+  async add(path, blob, date = new Date()) {
+    if (this.closed) throw new Error('The ZIP archive is already finished');
+    if (blob.size >= MAX_UINT32) throw new Error(`${path} is too large for a ZIP entry`);
+
+    const name = new TextEncoder().encode(path);
+    const crc = await crc32(blob);
+    const { time, day } = toDosDateTime(date);
+    const entry = { name, crc, size: blob.size, time, day, offset: this.offset };
+
+    const header = new DataView(new ArrayBuffer(30 + name.length));
+    header.setUint32(0, 0x04034b50, true); // Local file header
+    header.setUint16(4, VERSION_DEFAULT, true);
+    header.setUint16(6, FLAG_UTF8, true);
+    header.setUint16(8, 0, true); // Stored
+    header.setUint16(10, time, true);
+    header.setUint16(12, day, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, entry.size, true);
+    header.setUint32(22, entry.size, true);
+    header.setUint16(26, name.length, true);
+    header.setUint16(28, 0, true);
+    new Uint8Array(header.buffer).set(name, 30);
+
+    await this.emit(header);
+    await this.emit(blob);
+    this.entries.push(entry);
+  }
+
+  /**
+   * Writes the central directory. No entries can be added afterwards.
+   * @returns {Promise<number>} Total archive size in bytes
+   */
+  async close() {
+    if (this.closed) return this.offset;
+    this.closed = true;
+
+    const directoryOffset = this.offset;
+    for (const entry of this.entries) {
+      const zip64 = entry.offset >= MAX_UINT32;
+      const extraLength = zip64 ? 12 : 0;
+      const record = new DataView(new ArrayBuffer(46 + entry.name.length + extraLength));
+      const version = zip64 ? VERSION_ZIP64 : VERSION_DEFAULT;
+      record.setUint32(0, 0x02014b50, true); // Central directory header
+      record.setUint16(4, version, true); // Made by
+      record.setUint16(6, version, true); // Needed to extract
+      record.setUint16(8, FLAG_UTF8, true);
+      record.setUint16(10, 0, true);
+      record.setUint16(12, entry.time, true);
+      record.setUint16(14, entry.day, true);
+      record.setUint32(16, entry.crc, true);
+      record.setUint32(20, entry.size, true);
+      record.setUint32(24, entry.size, true);
+      record.setUint16(28, entry.name.length, true);
+      record.setUint16(30, extraLength, true);
+      record.setUint32(42, zip64 ? MAX_UINT32 : entry.offset, true);
+      new Uint8Array(record.buffer).set(entry.name, 46);
+      if (zip64) {
+        const extra = 46 + entry.name.length;
+        record.setUint16(extra, 0x0001, true); // ZIP64 extended information
+        record.setUint16(extra + 2, 8, true);
+        setUint64(record, extra + 4, entry.offset);
+      }
+      await this.emit(record);
+    }
+
+    const directorySize = this.offset - directoryOffset;
+    const count = this.entries.length;
+    if (directoryOffset >= MAX_UINT32 || directorySize >= MAX_UINT32 || count >= MAX_UINT16) {
+      const zip64EndOffset = this.offset;
+      const end64 = new DataView(new ArrayBuffer(56 + 20));
+      end64.setUint32(0, 0x06064b50, true); // ZIP64 end of central directory record
+      setUint64(end64, 4, 44);
+      end64.setUint16(12, VERSION_ZIP64, true);
+      end64.setUint16(14, VERSION_ZIP64, true);
+      setUint64(end64, 24, count);
+      setUint64(end64, 32, count);
+      setUint64(end64, 40, directorySize);
+      setUint64(end64, 48, directoryOffset);
+      end64.setUint32(56, 0x07064b50, true); // ZIP64 end of central directory locator
+      setUint64(end64, 64, zip64EndOffset);
+      end64.setUint32(72, 1, true);
+      await this.emit(end64);
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory record
+    end.setUint16(8, Math.min(count, MAX_UINT16), true);
+    end.setUint16(10, Math.min(count, MAX_UINT16), true);
+    end.setUint32(12, Math.min(directorySize, MAX_UINT32), true);
+    end.setUint32(16, Math.min(directoryOffset, MAX_UINT32), true);
+    await this.emit(end);
+    return this.offset;
+  }
+
+  async emit(data) {
+    const blob = data instanceof Blob ? data : new Blob([data]);
+    this.offset += blob.size;
+    await this.write(blob);
+  }
+}
+
+/**
+ * CRC-32 of a blob, read in chunks.
+ * @param {Blob} blob
+ * @returns {Promise<number>}
+ */
+export async function crc32(blob) {
+  let crc = 0xffffffff;
+  await readChunks(blob, (chunk) => {
+    for (let i = 0; i < chunk.length; i++) crc = CRC_TABLE[(crc ^ chunk[i]) & 0xff] ^ (crc >>> 8);
+  });
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+async function readChunks(blob, onChunk) {
+  const reader = blob.stream().getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return;
+    await onChunk(value);
+  }
+}
+
+// MS-DOS time and date, in local time, 2-second resolution, 1980 at the earliest
+function toDosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    day: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+function setUint64(view, offset, value) {
+  view.setUint32(offset, value % 0x100000000, true);
+  view.setUint32(offset + 4, Math.floor(value / 0x100000000), true);
+}
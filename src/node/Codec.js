@@ -0,0 +1,82 @@
+// Pure-JS JPEG/PNG codecs for the Node pipeline, standing in for
+// createImageBitmap and canvas.toBlob. Images are plain { data, width, height }
+// RGBA buffers, the same shape as ImageData.
+
+import jpeg from 'jpeg-js';
+import pngjs from 'pngjs';
+
+const { PNG } = pngjs;
+
+const DECODERS = {
+  'image/jpeg': (bytes) => jpeg.decode(bytes, { useTArray: true, formatAsRGBA: true }),
+  'image/png': (bytes) => PNG.sync.read(Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength))
+};
+
+export class Codec {
+  /**
+   * Sniffs the image type from its leading bytes.
+   * @param {Uint8Array} bytes
+   * @returns {string|null} 'image/jpeg', 'image/png' or null
+   */
+  static detectType(bytes) {
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) return 'image/jpeg';
+    if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) return 'image/png';
+    return null;
+  }
+
+  /**
+   * @param {string} mimeType
+   * @returns {boolean}
+   */
+  static canDecode(mimeType) {
+    return Object.prototype.hasOwnProperty.call(DECODERS, mimeType);
+  }
+
+  /**
+   * @param {string} mimeType
+   * @returns {boolean}
+   */
+  static canEncode(mimeType) {
+    return mimeType === 'image/jpeg' || mimeType === 'image/png';
+  }
+
+  /**
+   * Decodes to stored (un-oriented) RGBA pixels; EXIF orientation is not applied.
+   * @param {Uint8Array} bytes
+   * @param {string} mimeType
+   * @returns {{ data: Uint8ClampedArray, width: number, height: number }}
+   */
+  static decode(bytes, mimeType) {
+    const decoded = DECODERS[mimeType](bytes);
+    const { width, height } = decoded;
+    const data = new Uint8ClampedArray(decoded.data.buffer, decoded.data.byteOffset, width * height * 4);
+    return { data, width, height };
+  }
+
+  /**
+   * Encodes RGBA pixels.
+   * JPEG has no alpha, so pixels are flattened onto black like canvas.toBlob does.
+   * @param {{ data: Uint8ClampedArray, width: number, height: number }} image
+   * @param {string} mimeType - 'image/jpeg' or 'image/png'
+   * @param {number} quality - 0-1, JPEG only
+   * @returns {Uint8Array}
+   */
+  static encode({ data, width, height }, mimeType, quality) {
+    if (mimeType === 'image/png') {
+      const png = new PNG({ width, height });
+      png.data = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+      return new Uint8Array(PNG.sync.write(png, { colorType: 6 }));
+    }
+
+    const flat = new Uint8Array(data.length);
+    for (let i = 0; i < data.length; i += 4) {
+      const alpha = data[i + 3] / 255;
+      flat[i] = data[i] * alpha;
+      flat[i + 1] = data[i + 1] * alpha;
+      flat[i + 2] = data[i + 2] * alpha;
+      flat[i + 3] = 255;
+    }
+    const q = Math.max(1, Math.min(100, Math.round(quality * 100)));
+    return new Uint8Array(jpeg.encode({ data: flat, width, height }, q).data);
+  }
+}
@@ -0,0 +1,60 @@
+import { ImageProcessor } from '../core/ImageProcessor.js';
+import { ImageDecoder, DecodeError } from '../core/ImageDecoder.js';
+import { Codec } from './Codec.js';
+import { PixelCanvas } from './PixelCanvas.js';
+
+/**
+ * Headless ImageProcessor. Every stage of the pipeline (orientation, straighten/crop,
+ * layout, resampling, watermark, size targeting, metadata, lossless JPEG) is the shared
+ * core code; only the backend is replaced: canvases are PixelCanvas RGBA buffers,
+ * decoding and encoding go through the pure-JS codecs.
+ * Reads JPEG, PNG, HEIC and TIFF; writes JPEG and PNG.
+ */
+export class NodeProcessor extends ImageProcessor {
+  /**
+   * Rotates, straightens, crops and/or resizes an image. Takes the same options as
+   * ImageProcessor.process, except that 'webp' and 'avif' export are unavailable ('smallest'
+   * always yields JPEG) and text watermarks can't be drawn without a font rasterizer.
+   * @param {File} file - A global File (Node 20+) wrapping the original bytes
+   * @param {object} options - See ImageProcessor.process
+   * @param {object} [hooks] - See ImageProcessor.process
+   * @returns {Promise<object>} See ImageProcessor.process
+   */
+  static async process(file, options, hooks) {
+    const { exportFormat = 'auto' } = options;
+    if (['webp', 'avif'].includes(exportFormat) && !(await this.detectSupportedFormats()).has(exportFormat)) {
+      throw new Error(`${exportFormat.toUpperCase()} export is not available in Node`);
+    }
+    // 'auto' keeps PNG by type, which a File built from bare bytes doesn't have
+    if (!file.type) {
+      file = new File([file], file.name, { type: ImageDecoder.getMimeType(await ImageDecoder.identify(file)) });
+    }
+    return super.process(file, options, hooks);
+  }
+
+  static createCanvas(width, height) {
+    return new PixelCanvas(width, height);
+  }
+
+  /**
+   * Like canvas.toBlob, types the codecs can't write come back as PNG.
+   */
+  static async canvasToBlob(canvas, mimeType, quality) {
+    const type = Codec.canEncode(mimeType) ? mimeType : 'image/png';
+    return new Blob([Codec.encode(canvas, type, quality ?? 0.92)], { type });
+  }
+
+  /**
+   * JPEG/PNG through the pure-JS codecs, HEIC/TIFF through the same decoders as the browser.
+   * There is no color management, so embedded ICC profiles are always left as they are.
+   */
+  static async decodeImage(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const type = Codec.detectType(bytes);
+    if (type) return Codec.decode(bytes, type);
+
+    const format = await ImageDecoder.identify(file);
+    if (format && !ImageDecoder.isNative(format)) return ImageDecoder.decode(file, format);
+    throw new DecodeError(`Unsupported input format: ${file.name || 'image'}`, 'UNSUPPORTED_FORMAT');
+  }
+}
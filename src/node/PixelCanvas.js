@@ -0,0 +1,269 @@
+// Canvas stand-in for the Node pipeline: a width x height RGBA buffer with the subset of
+// the 2D context API that ImageProcessor draws with (transforms, drawImage, fillRect,
+// getImageData/putImageData). Scaled draws are filtered like imageSmoothingQuality 'high':
+// downscaling goes through the bicubic Resampler, everything else is sampled bilinearly.
+
+import { Resampler } from '../core/Resampler.js';
+
+// Matrix entries this close to 0 or ±1 are snapped, so quarter turns copy pixels exactly
+const EPSILON = 1e-10;
+
+export class PixelCanvas {
+  /**
+   * @param {number} width
+   * @param {number} height
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.data = new Uint8ClampedArray(width * height * 4);
+    this.context = null;
+  }
+
+  /**
+   * @param {string} type - Only '2d'
+   * @returns {PixelContext}
+   */
+  getContext(type) {
+    if (type !== '2d') throw new Error(`Unsupported context type: ${type}`);
+    if (!this.context) this.context = new PixelContext(this);
+    return this.context;
+  }
+}
+
+export class PixelContext {
+  /**
+   * @param {PixelCanvas} canvas
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    // Current transform [a, b, c, d, e, f]: x' = a * x + c * y + e, y' = b * x + d * y + f
+    this.state = { matrix: [1, 0, 0, 1, 0, 0], globalAlpha: 1, fillStyle: '#000000' };
+    this.stack = [];
+    this.imageSmoothingEnabled = true;
+    this.imageSmoothingQuality = 'low';
+  }
+
+  get globalAlpha() {
+    return this.state.globalAlpha;
+  }
+
+  set globalAlpha(value) {
+    if (value >= 0 && value <= 1) this.state.globalAlpha = value;
+  }
+
+  get fillStyle() {
+    return this.state.fillStyle;
+  }
+
+  set fillStyle(value) {
+    this.state.fillStyle = value;
+  }
+
+  save() {
+    this.stack.push({ ...this.state, matrix: [...this.state.matrix] });
+  }
+
+  restore() {
+    if (this.stack.length) this.state = this.stack.pop();
+  }
+
+  translate(x, y) {
+    this.transform(1, 0, 0, 1, x, y);
+  }
+
+  rotate(radians) {
+    const cos = snap(Math.cos(radians));
+    const sin = snap(Math.sin(radians));
+    this.transform(cos, sin, -sin, cos, 0, 0);
+  }
+
+  scale(x, y) {
+    this.transform(x, 0, 0, y, 0, 0);
+  }
+
+  transform(a, b, c, d, e, f) {
+    this.state.matrix = multiply(this.state.matrix, [a, b, c, d, e, f]);
+  }
+
+  /**
+   * Fills a rectangle with fillStyle, which must be a '#rgb' or '#rrggbb' color.
+   */
+  fillRect(x, y, width, height) {
+    const color = [...parseColor(this.state.fillStyle), 255 * this.state.globalAlpha];
+    this.paint(multiply(this.state.matrix, [width, 0, 0, height, x, y]), 1, 1, () => color);
+  }
+
+  /**
+   * @param {{ data: Uint8ClampedArray, width: number, height: number }} image - A PixelCanvas or decoded pixels
+   * @param {number} dx
+   * @param {number} dy
+   * @param {number} [dw]
+   * @param {number} [dh]
+   */
+  drawImage(image, dx, dy, dw = image.width, dh = image.height) {
+    let source = image;
+    let matrix = multiply(this.state.matrix, [dw / image.width, 0, 0, dh / image.height, dx, dy]);
+
+    // Shrink first so each drawn pixel averages all the source pixels it covers
+    const scaleX = Math.hypot(matrix[0], matrix[1]);
+    const scaleY = Math.hypot(matrix[2], matrix[3]);
+    if (this.imageSmoothingEnabled && (scaleX < 1 || scaleY < 1)) {
+      const width = Math.max(1, Math.round(image.width * Math.min(1, scaleX)));
+      const height = Math.max(1, Math.round(image.height * Math.min(1, scaleY)));
+      source = Resampler.resample(image, width, height, 'bicubic');
+      matrix = multiply(matrix, [image.width / width, 0, 0, image.height / height, 0, 0]);
+    }
+
+    const { data, width: w, height: h } = source;
+    const alpha = this.state.globalAlpha;
+    const pixel = [0, 0, 0, 0];
+    let r, g, b, a;
+    const tap = (x, y, weight) => {
+      if (weight === 0) return;
+      const s = (y * w + x) * 4;
+      const weighted = data[s + 3] * weight;
+      r += data[s] * weighted;
+      g += data[s + 1] * weighted;
+      b += data[s + 2] * weighted;
+      a += weighted;
+    };
+    this.paint(matrix, w, h, (u, v) => {
+      // Bilinear, premultiplied so transparent neighbours don't darken edges; clamped to the image
+      const sx = Math.min(w - 1, Math.max(0, u - 0.5));
+      const sy = Math.min(h - 1, Math.max(0, v - 0.5));
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      const x1 = Math.min(x0 + 1, w - 1);
+      const y1 = Math.min(y0 + 1, h - 1);
+      const tx = sx - x0;
+      const ty = sy - y0;
+      r = g = b = a = 0;
+      tap(x0, y0, (1 - tx) * (1 - ty));
+      tap(x1, y0, tx * (1 - ty));
+      tap(x0, y1, (1 - tx) * ty);
+      tap(x1, y1, tx * ty);
+      if (a === 0) return null;
+      pixel[0] = r / a;
+      pixel[1] = g / a;
+      pixel[2] = b / a;
+      pixel[3] = a * alpha;
+      return pixel;
+    });
+  }
+
+  /**
+   * @returns {{ data: Uint8ClampedArray, width: number, height: number }} A copy of the area
+   */
+  getImageData(x, y, width, height) {
+    const { data, width: canvasW } = this.canvas;
+    const out = new Uint8ClampedArray(width * height * 4);
+    for (let row = 0; row < height; row++) {
+      const start = ((y + row) * canvasW + x) * 4;
+      out.set(data.subarray(start, start + width * 4), row * width * 4);
+    }
+    return { data: out, width, height };
+  }
+
+  /**
+   * Replaces the pixels at (x, y), without blending or transform, like the canvas does.
+   */
+  putImageData(image, x, y) {
+    const { data, width: canvasW, height: canvasH } = this.canvas;
+    const x0 = Math.max(0, x);
+    const x1 = Math.min(canvasW, x + image.width);
+    if (x1 <= x0) return;
+    for (let row = Math.max(0, -y); row < image.height && y + row < canvasH; row++) {
+      const start = (row * image.width + (x0 - x)) * 4;
+      data.set(image.data.subarray(start, start + (x1 - x0) * 4), ((y + row) * canvasW + x0) * 4);
+    }
+  }
+
+  measureText() {
+    throw new Error('Text rendering is not available in Node (there is no font rasterizer), use an image watermark');
+  }
+
+  fillText() {
+    this.measureText();
+  }
+
+  /**
+   * Blends shade(u, v) source-over into every pixel whose center lies inside the unit
+   * rectangle [0, w] x [0, h] mapped by matrix.
+   * @param {number[]} matrix
+   * @param {number} w
+   * @param {number} h
+   * @param {(u: number, v: number) => number[]|null} shade - Straight RGBA at source coordinates
+   */
+  paint(matrix, w, h, shade) {
+    const [a, b, c, d, e, f] = matrix;
+    const det = a * d - b * c;
+    if (Math.abs(det) < EPSILON) return;
+
+    const { data, width: canvasW, height: canvasH } = this.canvas;
+    const corners = [[0, 0], [w, 0], [0, h], [w, h]].map(([u, v]) => [a * u + c * v + e, b * u + d * v + f]);
+    const xs = corners.map(([x]) => x);
+    const ys = corners.map(([, y]) => y);
+    const left = Math.max(0, Math.floor(Math.min(...xs)));
+    const right = Math.min(canvasW, Math.ceil(Math.max(...xs)));
+    const top = Math.max(0, Math.floor(Math.min(...ys)));
+    const bottom = Math.min(canvasH, Math.ceil(Math.max(...ys)));
+
+    for (let y = top; y < bottom; y++) {
+      for (let x = left; x < right; x++) {
+        // Pixel center back into source coordinates
+        const px = x + 0.5 - e;
+        const py = y + 0.5 - f;
+        const u = (d * px - c * py) / det;
+        const v = (a * py - b * px) / det;
+        if (u < 0 || v < 0 || u >= w || v >= h) continue;
+        const color = shade(u, v);
+        if (color) blend(data, (y * canvasW + x) * 4, color);
+      }
+    }
+  }
+}
+
+/**
+ * Source-over compositing of a straight RGBA color into data at index i.
+ */
+function blend(data, i, [r, g, b, a]) {
+  const sa = a / 255;
+  const da = data[i + 3] / 255;
+  const outA = sa + da * (1 - sa);
+  if (outA <= 0) return;
+  data[i] = (r * sa + data[i] * da * (1 - sa)) / outA;
+  data[i + 1] = (g * sa + data[i + 1] * da * (1 - sa)) / outA;
+  data[i + 2] = (b * sa + data[i + 2] * da * (1 - sa)) / outA;
+  data[i + 3] = outA * 255;
+}
+
+function multiply([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) {
+  return [
+    a1 * a2 + c1 * b2,
+    b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2,
+    b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1,
+    b1 * e2 + d1 * f2 + f1
+  ];
+}
+
+function snap(value) {
+  for (const exact of [0, 1, -1]) {
+    if (Math.abs(value - exact) < EPSILON) return exact;
+  }
+  return value;
+}
+
+/**
+ * Parses '#rgb' or '#rrggbb'. Canvas accepts any CSS color, but the UI and CLI only produce hex.
+ */
+function parseColor(color) {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+  if (!match) {
+    throw new Error(`Unsupported color: ${color} (use #rgb or #rrggbb)`);
+  }
+  const hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+  return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
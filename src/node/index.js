@@ -0,0 +1,46 @@
+// Node entry point: the web app's processing pipeline without a browser.
+//
+//   import { processFile } from './src/node/index.js';
+//   const { blob, mimeType } = await processFile('photo.jpg', { resizeMode: 'width', targetWidth: 1200 });
+
+import { readFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { ImageProcessor } from '../core/ImageProcessor.js';
+import { ExifParseError } from '../core/ExifParser.js';
+import { NodeProcessor } from './NodeProcessor.js';
+import { Codec } from './Codec.js';
+
+export { NodeProcessor } from './NodeProcessor.js';
+export { Codec } from './Codec.js';
+export { getOrientationTransform, resolveTransform, getUprightSize, computeLayout, scaleLayout, mapPoint } from '../core/Geometry.js';
+export { searchQuality, fitToSize } from '../core/SizeTarget.js';
+
+/**
+ * Reads an image from disk and runs it through NodeProcessor.process.
+ * Unless options.orientation is given, the EXIF orientation is read from the file
+ * (treated as 1 when options.autoFix is false or the EXIF block is malformed).
+ * @param {string} path
+ * @param {object} [options] - See ImageProcessor.process, plus autoFix (default true)
+ * @param {object} [hooks] - See NodeProcessor.process
+ * @returns {Promise<{ blob: Blob, mimeType: string, width: number, height: number, quality: number|null, lossless?: boolean, losslessFallback?: string }>}
+ */
+export async function processFile(path, options = {}, hooks = {}) {
+  const { onWarn = (message) => console.warn(message) } = hooks;
+  const bytes = await readFile(path);
+  const file = new File([bytes], basename(path), { type: Codec.detectType(bytes) || '' });
+
+  let { orientation } = options;
+  if (orientation === undefined) {
+    orientation = 1;
+    if (options.autoFix !== false) {
+      try {
+        orientation = await ImageProcessor.getOrientation(file);
+      } catch (err) {
+        if (!(err instanceof ExifParseError)) throw err;
+        onWarn(`Ignoring malformed EXIF in ${file.name}: ${err.message}`);
+      }
+    }
+  }
+
+  return NodeProcessor.process(file, { ...options, orientation }, hooks);
+}
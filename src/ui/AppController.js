@@ -1,44 +1,203 @@
-import JSZip from 'jszip';
 // import { saveAs } from 'file-saver'; // Removed as we implemented a custom saveBlob function
 // Actually, let's stick to standard anchor method for single files, but for ZIP we need a Blob.
 // I should verify if I installed 'file-saver'. I did NOT.
 // I will use a simple utility function for saving blobs.
 
 import { ImageProcessor } from '../core/ImageProcessor.js';
+import { WorkerPool, CancelledError } from '../core/WorkerPool.js';
+import { ExifParseError } from '../core/ExifParser.js';
+import { ImageDecoder, DecodeError } from '../core/ImageDecoder.js';
+import { invertTransform, mapPoint, flipEdit } from '../core/Geometry.js';
+import { DEFAULT_MIN_QUALITY } from '../core/SizeTarget.js';
+import {
+    findUnknownTokens, formatFileName, formatExifDate, splitExtension, joinPath, normalizeZipName, createUniquePaths
+} from '../core/FileNaming.js';
+import { parseWidths, getVariantFileName, buildPictureHtml, buildManifest } from '../core/ResponsiveExport.js';
+import {
+    DEFAULT_SETTINGS, PresetError, pickSettings, checkName, serializePresets, parsePresetFile
+} from '../core/Presets.js';
+import { MAX_LOGO_BYTES, getLogoId } from '../core/Watermark.js';
+import { checkOrientation } from '../core/OrientationCheck.js';
+import { History } from '../core/History.js';
 import { DropZone } from './DropZone.js';
+import { CompareView } from './CompareView.js';
+import { CropEditor } from './CropEditor.js';
+import { PresetStore } from './PresetStore.js';
+import { FolderTarget, ZipTarget, SingleFileTarget } from './OutputTarget.js';
+import { SessionStore } from './SessionStore.js';
+
+// Longest side of the card thumbnails, rendered by the export pipeline
+const THUMBNAIL_SIZE = 400;
+// Longest side of the original shown in the comparison view
+const COMPARE_SIZE = 1200;
+// Settings changes are batched before previews are re-rendered (ms)
+const PREVIEW_DELAY = 300;
+// Object URLs of downloads are released after this long (ms)
+const REVOKE_DELAY = 60000;
 
 export class AppController {
     constructor() {
-        this.files = []; // { id, file, originalOrientation, previewUrl }
-        this.state = {
-            autoFix: true,
-            manualRotation: 0, // 0, 90, 180, 270
-            resizeMode: 'none', // none, width, height, both-fit, both-force
-            targetWidth: null,
-            targetHeight: null,
-            stripExif: true,
-            exportFormat: 'auto'
-        };
+        this.files = []; // { id, file, relativePath, format, error, metadata, exifError, originalOrientation, thumbnail, overrides, selected }
+        this.state = { ...DEFAULT_SETTINGS }; // See Presets.DEFAULT_SETTINGS
+
+        // Named presets and last-used settings, kept in localStorage
+        this.presetStore = new PresetStore();
+        this.activePreset = null; // Name of the preset last loaded or saved
+        this.settingsTimer = null;
+
+        // Undo/redo of settings and per-image edits. committedSettings are the settings the
+        // last recorded step left, compared against to find what a control changed.
+        this.history = new History();
+        this.committedSettings = null;
+
+        // Loaded files and their edits in IndexedDB; a stored session is offered until answered
+        this.sessionStore = new SessionStore();
+        this.sessionTimer = null;
+        this.pendingSession = null;
+
+        // Off-main-thread processing (falls back to the main thread without OffscreenCanvas)
+        this.pool = new WorkerPool();
+        this.logo = null; // { dataUrl, id } of the last watermark logo handed to the pool
+        this.processing = false;
+        this.previewTimer = null;
+
+        // Before/After view: the item shown and the job rendering its output
+        this.compareView = new CompareView('compare-modal', {
+            onFocalPointSelected: (point) => this.setFocalPoint(this.comparedItem, point),
+            onClose: () => this.closeComparison()
+        });
+        this.comparedItem = null;
+        this.comparisonJob = null;
+        this.comparisonUrl = null;
+
+        // Straighten & Crop tool: the item being edited and the job rendering its upright preview
+        this.cropEditor = new CropEditor('crop-modal', {
+            onApply: (edit) => this.setEdit(this.croppedItem, edit),
+            onClose: () => this.closeCropEditor()
+        });
+        this.croppedItem = null;
+        this.cropJob = null;
 
         // UI Elements
         this.dropZone = new DropZone('drop-zone', 'file-input', this.handleFiles.bind(this));
         this.editorSection = document.getElementById('editor-section');
         this.imageList = document.getElementById('image-list');
 
+        // Presets
+        this.sidebar = document.querySelector('.controls-sidebar');
+        this.presetSelect = document.getElementById('preset-select');
+        this.presetNameInput = document.getElementById('preset-name-input');
+        this.savePresetBtn = document.getElementById('save-preset-btn');
+        this.deletePresetBtn = document.getElementById('delete-preset-btn');
+        this.exportPresetsBtn = document.getElementById('export-presets-btn');
+        this.importPresetsBtn = document.getElementById('import-presets-btn');
+        this.presetFileInput = document.getElementById('preset-file-input');
+        this.presetHint = document.getElementById('preset-hint');
+
         // Inputs
         this.autoFixToggle = document.getElementById('auto-fix-toggle');
+        this.trustPixelsToggle = document.getElementById('trust-pixels-toggle');
+        this.orientationCheckHint = document.getElementById('orientation-check-hint');
         this.stripExifToggle = document.getElementById('strip-exif-toggle');
+        this.losslessToggle = document.getElementById('lossless-toggle');
+        this.losslessHint = document.getElementById('lossless-hint');
         this.rotateLeftBtn = document.getElementById('rotate-left-btn');
         this.rotateRightBtn = document.getElementById('rotate-right-btn');
         this.resizeModeSelect = document.getElementById('resize-mode');
         this.resizeInputs = document.getElementById('resize-inputs');
         this.widthInput = document.getElementById('width-input');
         this.heightInput = document.getElementById('height-input');
+        this.padInputs = document.getElementById('pad-inputs');
+        this.padColorInput = document.getElementById('pad-color-input');
+        this.padTransparentToggle = document.getElementById('pad-transparent-toggle');
+        this.coverHint = document.getElementById('cover-hint');
+        this.resamplingSelect = document.getElementById('resampling-select');
+        this.sharpenToggle = document.getElementById('sharpen-toggle');
+        this.watermarkTypeSelect = document.getElementById('watermark-type-select');
+        this.watermarkTextInputs = document.getElementById('watermark-text-inputs');
+        this.watermarkTextInput = document.getElementById('watermark-text-input');
+        this.watermarkFontSelect = document.getElementById('watermark-font-select');
+        this.watermarkColorInput = document.getElementById('watermark-color-input');
+        this.watermarkImageInputs = document.getElementById('watermark-image-inputs');
+        this.watermarkLogoBtn = document.getElementById('watermark-logo-btn');
+        this.watermarkLogoInput = document.getElementById('watermark-logo-input');
+        this.watermarkLogoHint = document.getElementById('watermark-logo-hint');
+        this.watermarkPositionInputs = document.getElementById('watermark-position-inputs');
+        this.watermarkAnchorSelect = document.getElementById('watermark-anchor-select');
+        this.watermarkSizeInput = document.getElementById('watermark-size-input');
+        this.watermarkMarginInput = document.getElementById('watermark-margin-input');
+        this.watermarkOpacityInput = document.getElementById('watermark-opacity-input');
         this.maxSizeInput = document.getElementById('max-size-input');
+        this.maxSizeHint = document.getElementById('max-size-hint');
+        this.minQualityInput = document.getElementById('min-quality-input');
+        this.sizeTargetHint = document.getElementById('size-target-hint');
         this.formatSelect = document.getElementById('format-select');
+        this.nameTemplateInput = document.getElementById('name-template-input');
+        this.nameTemplateHint = document.getElementById('name-template-hint');
+        this.zipNameInput = document.getElementById('zip-name-input');
+        this.keepFoldersToggle = document.getElementById('keep-folders-toggle');
+        this.variantsToggle = document.getElementById('variants-toggle');
+        this.variantsInputs = document.getElementById('variants-inputs');
+        this.variantWidthsInput = document.getElementById('variant-widths-input');
+        this.variantWidthsHint = document.getElementById('variant-widths-hint');
+        this.variantFormatInputs = Array.from(document.querySelectorAll('#variant-formats input'));
+        this.variantHtmlToggle = document.getElementById('variant-html-toggle');
+        this.variantManifestToggle = document.getElementById('variant-manifest-toggle');
+        this.outputModeSelect = document.getElementById('output-mode-select');
+        this.outputModeHint = document.getElementById('output-mode-hint');
+        this.skipFailedToggle = document.getElementById('skip-failed-toggle');
         this.downloadBtn = document.getElementById('download-btn');
+        this.cancelBtn = document.getElementById('cancel-btn');
+        this.batchProgress = document.getElementById('batch-progress');
+        this.batchSummary = document.getElementById('batch-summary');
+
+        this.undoBtn = document.getElementById('undo-btn');
+        this.redoBtn = document.getElementById('redo-btn');
+        this.sessionOffer = document.getElementById('session-restore');
+
+        // Selection
+        this.selectAllToggle = document.getElementById('select-all-toggle');
+        this.applySelectedBtn = document.getElementById('apply-selected-btn');
+        this.resetSelectedBtn = document.getElementById('reset-selected-btn');
 
         this.initListeners();
+        this.initPresets();
+        this.initFormatSupport();
+        this.initOutputModes();
+        this.committedSettings = pickSettings(this.state); // Restored settings are where the history starts
+        this.updateHistoryButtons();
+        this.initSession();
+    }
+
+    /**
+     * Lists the saved presets and restores the settings of the last visit.
+     */
+    initPresets() {
+        this.renderPresetOptions();
+        const lastUsed = this.presetStore.loadLastUsed();
+        if (!lastUsed) return;
+        this.activePreset = lastUsed.preset && this.presetStore.get(lastUsed.preset) ? lastUsed.preset : null;
+        this.applySettings(lastUsed.settings);
+        this.presetSelect.value = this.activePreset || '';
+        this.presetNameInput.value = this.activePreset || '';
+        this.deletePresetBtn.disabled = !this.activePreset;
+    }
+
+    /**
+     * Disables export formats the browser cannot encode.
+     */
+    async initFormatSupport() {
+        const supported = await ImageProcessor.detectSupportedFormats();
+        for (const option of this.formatSelect.options) {
+            if (['auto', 'smallest'].includes(option.value) || supported.has(option.value)) continue;
+            option.disabled = true;
+            option.textContent += ' (unsupported)';
+        }
+        for (const input of this.variantFormatInputs) {
+            if (input.value === 'auto' || supported.has(input.value)) continue;
+            input.disabled = true;
+            input.parentElement.title = 'Not supported by this browser';
+        }
     }
 
     initListeners() {
@@ -47,8 +206,19 @@ export class AppController {
             this.refreshPreviews();
         });
 
+        this.trustPixelsToggle.addEventListener('change', (e) => {
+            this.state.trustPixels = e.target.checked;
+            this.refreshPreviews();
+        });
+
         this.stripExifToggle.addEventListener('change', (e) => {
             this.state.stripExif = e.target.checked;
+            this.refreshPreviews();
+        });
+
+        this.losslessToggle.addEventListener('change', (e) => {
+            this.state.lossless = e.target.checked;
+            this.refreshPreviews();
         });
 
         this.rotateLeftBtn.addEventListener('click', () => {
@@ -62,200 +232,1630 @@ export class AppController {
         });
 
         this.resizeModeSelect.addEventListener('change', (e) => {
-            this.state.resizeMode = e.target.value;
-            if (this.state.resizeMode === 'none') {
-                this.resizeInputs.classList.add('hidden');
-            } else {
-                this.resizeInputs.classList.remove('hidden');
-                // Handle input visibility based on mode? 
-                // For simplicity, showing both inputs but disabling one if needed could be better,
-                // but let's just show both.
+            let mode = e.target.value;
+
+            // Ratio presets are cover crops with fixed dimensions
+            if (mode.startsWith('preset:')) {
+                const [w, h] = mode.slice('preset:'.length).split('x').map(Number);
+                this.state.targetWidth = w;
+                this.state.targetHeight = h;
+                this.widthInput.value = w;
+                this.heightInput.value = h;
+                mode = 'both-cover';
             }
+
+            this.state.resizeMode = mode;
+            this.showResizeInputs(mode);
+            this.refreshPreviews();
         });
 
-        this.widthInput.addEventListener('input', (e) => this.state.targetWidth = parseInt(e.target.value));
-        this.heightInput.addEventListener('input', (e) => this.state.targetHeight = parseInt(e.target.value));
+        // Every output setting re-renders the previews (batched, see refreshPreviews)
+        const bind = (element, event, update) => element.addEventListener(event, (e) => {
+            update(e.target);
+            this.refreshPreviews();
+        });
+        bind(this.padColorInput, 'input', (input) => this.state.padColor = input.value);
+        bind(this.padTransparentToggle, 'change', (input) => this.state.padTransparent = input.checked);
+        bind(this.resamplingSelect, 'change', (input) => this.state.resampling = input.value);
+        bind(this.sharpenToggle, 'change', (input) => this.state.sharpen = input.checked);
+
+        bind(this.widthInput, 'input', (input) => this.state.targetWidth = parseInt(input.value) || null);
+        bind(this.heightInput, 'input', (input) => this.state.targetHeight = parseInt(input.value) || null);
+
+        bind(this.watermarkTypeSelect, 'change', (input) => {
+            this.state.watermarkType = input.value;
+            this.showWatermarkInputs();
+        });
+        bind(this.watermarkTextInput, 'input', (input) => this.state.watermarkText = input.value);
+        bind(this.watermarkFontSelect, 'change', (input) => this.state.watermarkFont = input.value);
+        bind(this.watermarkColorInput, 'input', (input) => this.state.watermarkColor = input.value);
+        bind(this.watermarkAnchorSelect, 'change', (input) => this.state.watermarkAnchor = input.value);
+        // One size field: text height for text, logo width for logos
+        bind(this.watermarkSizeInput, 'input', (input) => {
+            const val = parseFloat(input.value);
+            if (!(val >= 1 && val <= 100)) return;
+            this.state[this.state.watermarkType === 'image' ? 'watermarkLogoSize' : 'watermarkTextSize'] = val / 100;
+        });
+        bind(this.watermarkMarginInput, 'input', (input) => {
+            const val = parseFloat(input.value);
+            if (val >= 0 && val <= 25) this.state.watermarkMargin = val / 100;
+        });
+        bind(this.watermarkOpacityInput, 'input', (input) => this.state.watermarkOpacity = parseInt(input.value) / 100);
+        this.watermarkLogoBtn.addEventListener('click', () => this.watermarkLogoInput.click());
+        this.watermarkLogoInput.addEventListener('change', (e) => {
+            if (e.target.files.length) this.loadWatermarkLogo(e.target.files[0]);
+            e.target.value = '';
+        });
 
-        this.maxSizeInput.addEventListener('input', (e) => {
-            const val = parseFloat(e.target.value);
+        bind(this.maxSizeInput, 'input', (input) => {
+            const val = parseFloat(input.value);
             // Convert KB to Bytes
             this.state.maxSizeBytes = (val && val > 0) ? Math.floor(val * 1024) : null;
         });
+        bind(this.minQualityInput, 'input', (input) => {
+            const val = parseInt(input.value);
+            this.state.minQuality = val >= 1 && val <= 100 ? val / 100 : DEFAULT_MIN_QUALITY;
+        });
 
-        this.formatSelect.addEventListener('change', (e) => {
-            this.state.exportFormat = e.target.value;
+        bind(this.formatSelect, 'change', (input) => {
+            this.state.exportFormat = input.value;
             this.updateUIState();
         });
 
-        this.downloadBtn.addEventListener('click', () => this.handleDownload());
+        this.selectAllToggle.addEventListener('change', (e) => {
+            this.files.forEach(item => item.selected = e.target.checked);
+            this.renderList();
+        });
+
+        this.applySelectedBtn.addEventListener('click', () => this.applyToSelected());
+        this.resetSelectedBtn.addEventListener('click', () => {
+            this.changeOverrides(this.getSelectedItems(), () => ({}), 'Reset');
+        });
+
+        // An invalid template keeps the last valid one and explains why
+        this.nameTemplateInput.addEventListener('input', (e) => {
+            const template = e.target.value.trim();
+            const unknown = findUnknownTokens(template);
+            if (template && unknown.length === 0) this.state.nameTemplate = template;
+            this.nameTemplateHint.textContent = !template
+                ? `Empty template, using ${this.state.nameTemplate}`
+                : unknown.length
+                    ? `Unknown token ${unknown.join(', ')}. Use {name} {index} {width} {height} {date} {ext}`
+                    : 'Tokens: {name} {index} {width} {height} {date} {ext}';
+            this.nameTemplateHint.classList.toggle('disabled', !template || unknown.length > 0);
+        });
+        this.zipNameInput.addEventListener('change', (e) => {
+            this.state.zipName = normalizeZipName(e.target.value);
+            e.target.value = this.state.zipName;
+        });
+        this.keepFoldersToggle.addEventListener('change', (e) => this.state.keepFolders = e.target.checked);
+        this.variantsToggle.addEventListener('change', (e) => {
+            this.state.variantsEnabled = e.target.checked;
+            this.variantsInputs.classList.toggle('hidden', !e.target.checked);
+        });
+        // Invalid widths keep the last valid list and explain why
+        this.variantWidthsInput.addEventListener('input', (e) => {
+            try {
+                this.state.variantWidths = parseWidths(e.target.value);
+                this.variantWidthsHint.textContent = 'Widths in pixels; files get a -480w suffix. Larger than the original are skipped.';
+                this.variantWidthsHint.classList.remove('disabled');
+            } catch (err) {
+                this.variantWidthsHint.textContent = `${err.message}. Using ${this.state.variantWidths.join(', ')}.`;
+                this.variantWidthsHint.classList.add('disabled');
+            }
+        });
+        this.variantFormatInputs.forEach(input => input.addEventListener('change', () => {
+            const formats = this.variantFormatInputs.filter(i => i.checked).map(i => i.value);
+            this.state.variantFormats = formats.length ? formats : ['auto'];
+        }));
+        this.variantHtmlToggle.addEventListener('change', (e) => this.state.variantHtml = e.target.checked);
+        this.variantManifestToggle.addEventListener('change', (e) => this.state.variantManifest = e.target.checked);
+        this.outputModeSelect.addEventListener('change', (e) => {
+            this.state.outputMode = e.target.value;
+            this.showOutputMode();
+        });
+        this.skipFailedToggle.addEventListener('change', (e) => this.state.skipFailed = e.target.checked);
+
+        this.presetSelect.addEventListener('change', (e) => this.loadPreset(e.target.value));
+        this.savePresetBtn.addEventListener('click', () => this.savePreset());
+        this.presetNameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.savePreset();
+        });
+        this.deletePresetBtn.addEventListener('click', () => this.deletePreset());
+        this.exportPresetsBtn.addEventListener('click', () => this.exportPresets());
+        this.importPresetsBtn.addEventListener('click', () => this.presetFileInput.click());
+        this.presetFileInput.addEventListener('change', (e) => {
+            if (e.target.files.length) this.importPresets(e.target.files[0]);
+            e.target.value = ''; // Allow importing the same file again
+        });
+        // Runs after the individual handlers above have updated the state
+        for (const event of ['input', 'change', 'click']) {
+            this.sidebar.addEventListener(event, (e) => {
+                if (e.target.closest('#preset-controls')) return;
+                // Events dispatched by applySettings belong to the change that called it
+                if (e.isTrusted) {
+                    const group = e.target.closest('.control-group');
+                    const heading = group && group.querySelector('h4');
+                    this.recordSettings(heading ? heading.textContent : 'Settings');
+                }
+                this.scheduleSettingsSave();
+                this.showPresetStatus();
+            });
+        }
+
+        this.undoBtn.addEventListener('click', () => this.undo());
+        this.redoBtn.addEventListener('click', () => this.redo());
+        // Ctrl+Z, Ctrl+Shift+Z or Ctrl+Y. Text fields keep the browser's own undo.
+        document.addEventListener('keydown', (e) => {
+            const key = e.key.toLowerCase();
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || (key !== 'z' && key !== 'y')) return;
+            if (e.target.closest('input[type="text"], input[type="number"], textarea')) return;
+            if (this.compareView.isOpen || this.cropEditor.isOpen) return;
+            e.preventDefault();
+            if (key === 'z' && !e.shiftKey) this.undo();
+            else this.redo();
+        });
+
+        this.sessionOffer.querySelector('.session-restore-btn').addEventListener('click', () => this.restoreSession());
+        this.sessionOffer.querySelector('.session-discard-btn').addEventListener('click', () => this.discardSession());
+
+        this.downloadBtn.addEventListener('click', () => {
+            if (!this.processing) this.handleDownload();
+        });
+        this.cancelBtn.addEventListener('click', () => this.pool.cancel());
+        this.batchSummary.querySelector('.batch-summary-close').addEventListener('click', () => {
+            this.batchSummary.classList.add('hidden');
+        });
+    }
+
+    /**
+     * Shows the watermark fields for the chosen type and the current size and logo.
+     */
+    showWatermarkInputs() {
+        const { watermarkType: type, watermarkLogo: logo } = this.state;
+        this.watermarkTextInputs.classList.toggle('hidden', type !== 'text');
+        this.watermarkImageInputs.classList.toggle('hidden', type !== 'image');
+        this.watermarkPositionInputs.classList.toggle('hidden', type === 'none');
+        const size = type === 'image' ? this.state.watermarkLogoSize : this.state.watermarkTextSize;
+        this.watermarkSizeInput.value = Number((size * 100).toFixed(1));
+        if (!this.watermarkLogoHint.classList.contains('disabled')) {
+            this.watermarkLogoHint.textContent = logo
+                ? `Logo loaded (${formatBytes(Math.floor((logo.length - logo.indexOf(',') - 1) * 3 / 4))}).`
+                : 'No logo selected.';
+        }
+    }
+
+    /**
+     * Reads a PNG logo into the settings as a data URL, so it can be stored with presets.
+     * @param {File} file
+     */
+    async loadWatermarkLogo(file) {
+        const format = await ImageDecoder.identify(file);
+        const error = format !== 'png'
+            ? `${file.name} is not a PNG file.`
+            : file.size > MAX_LOGO_BYTES
+                ? `${file.name} is ${formatBytes(file.size)}; logos can be at most ${formatBytes(MAX_LOGO_BYTES)}.`
+                : null;
+        this.watermarkLogoHint.classList.toggle('disabled', !!error);
+        if (error) {
+            this.watermarkLogoHint.textContent = error;
+            return;
+        }
+
+        const dataUrl = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(new Blob([file], { type: 'image/png' }));
+        });
+        this.state.watermarkLogo = dataUrl;
+        this.showWatermarkInputs();
+        this.recordSettings('Watermark logo');
+        this.scheduleSettingsSave();
+        this.showPresetStatus();
+        this.refreshPreviews();
+    }
+
+    /**
+     * Marks folder output as unsupported where the File System Access API is missing.
+     */
+    initOutputModes() {
+        if (!FolderTarget.isSupported()) {
+            const option = this.outputModeSelect.querySelector('option[value="folder"]');
+            option.disabled = true;
+            option.textContent += ' (unsupported)';
+        }
+        this.showOutputMode();
+    }
+
+    /**
+     * Explains the output mode and labels the download button to match. A preset can ask
+     * for a folder in a browser that can't write one; such batches are downloaded instead.
+     * Without a private file system to stream to, ZIPs are built in memory, which is flagged.
+     */
+    showOutputMode() {
+        const folder = this.state.outputMode === 'folder';
+        const supported = FolderTarget.isSupported();
+        const streaming = ZipTarget.canStream();
+        let hint;
+        if (!folder && streaming) {
+            hint = 'Several files are downloaded as one ZIP, streamed to disk as they finish.';
+        } else if (!folder) {
+            hint = 'This browser can\'t stream ZIPs to disk, so several files are collected in memory first and very large batches may not fit.'
+                + (supported ? ' Write to a folder instead to avoid this.' : '');
+        } else if (supported) {
+            hint = 'Asks for a folder, then saves each file as soon as it is processed. Existing files are kept.';
+        } else {
+            hint = 'This browser can\'t write to folders; files are downloaded instead.'
+                + (streaming ? '' : ' Several files are zipped in memory, so very large batches may not fit.');
+        }
+        this.outputModeHint.textContent = hint;
+        this.outputModeHint.classList.toggle('disabled', folder ? !supported : !streaming);
+        if (!this.processing) this.downloadBtn.textContent = this.getDownloadLabel();
+    }
+
+    showResizeInputs(mode) {
+        this.resizeInputs.classList.toggle('hidden', mode === 'none');
+        this.padInputs.classList.toggle('hidden', mode !== 'both-pad');
+        this.coverHint.classList.toggle('hidden', mode !== 'both-cover');
+    }
+
+    /**
+     * Replaces the sidebar settings and updates every control to match.
+     * @param {object} settings - Complete settings, see Presets.validateSettings
+     */
+    applySettings(settings) {
+        Object.assign(this.state, settings);
+        const state = this.state;
+
+        this.autoFixToggle.checked = state.autoFix;
+        this.trustPixelsToggle.checked = state.trustPixels;
+        this.resizeModeSelect.value = state.resizeMode;
+        this.showResizeInputs(state.resizeMode);
+        this.widthInput.value = state.targetWidth || '';
+        this.heightInput.value = state.targetHeight || '';
+        this.padColorInput.value = state.padColor;
+        this.padTransparentToggle.checked = state.padTransparent;
+        this.resamplingSelect.value = state.resampling;
+        this.sharpenToggle.checked = state.sharpen;
+        this.watermarkTypeSelect.value = state.watermarkType;
+        this.watermarkTextInput.value = state.watermarkText;
+        this.watermarkFontSelect.value = state.watermarkFont;
+        this.watermarkColorInput.value = state.watermarkColor;
+        this.watermarkAnchorSelect.value = state.watermarkAnchor;
+        this.watermarkMarginInput.value = Number((state.watermarkMargin * 100).toFixed(1));
+        this.watermarkOpacityInput.value = Math.round(state.watermarkOpacity * 100);
+        this.watermarkLogoHint.classList.remove('disabled');
+        this.showWatermarkInputs();
+        this.maxSizeInput.value = state.maxSizeBytes ? Number((state.maxSizeBytes / 1024).toFixed(2)) : '';
+        this.minQualityInput.value = Math.round(state.minQuality * 100);
+        this.stripExifToggle.checked = state.stripExif;
+        this.losslessToggle.checked = state.lossless;
+        this.formatSelect.value = state.exportFormat;
+        this.nameTemplateInput.value = state.nameTemplate;
+        this.zipNameInput.value = state.zipName;
+        this.keepFoldersToggle.checked = state.keepFolders;
+        this.variantsToggle.checked = state.variantsEnabled;
+        this.variantsInputs.classList.toggle('hidden', !state.variantsEnabled);
+        this.variantWidthsInput.value = state.variantWidths.join(', ');
+        this.variantFormatInputs.forEach(input => input.checked = state.variantFormats.includes(input.value));
+        this.variantHtmlToggle.checked = state.variantHtml;
+        this.variantManifestToggle.checked = state.variantManifest;
+        this.outputModeSelect.value = state.outputMode;
+        this.showOutputMode();
+        this.skipFailedToggle.checked = state.skipFailed;
+
+        // Reset the hints of the validated text inputs
+        this.nameTemplateInput.dispatchEvent(new Event('input'));
+        this.variantWidthsInput.dispatchEvent(new Event('input'));
+
+        this.updateUIState();
+        this.refreshPreviews();
+    }
+
+    renderPresetOptions() {
+        this.presetSelect.innerHTML = '<option value="">Custom settings</option>';
+        for (const { name } of this.presetStore.list()) {
+            this.presetSelect.add(new Option(name, name));
+        }
+        this.presetSelect.value = this.activePreset || '';
+        this.deletePresetBtn.disabled = !this.activePreset;
+    }
+
+    /**
+     * @param {string} name - Empty for "Custom settings", which keeps the current settings
+     */
+    loadPreset(name) {
+        const preset = name ? this.presetStore.get(name) : null;
+        this.activePreset = preset ? preset.name : null;
+        this.presetNameInput.value = this.activePreset || '';
+        this.deletePresetBtn.disabled = !this.activePreset;
+        if (preset) {
+            this.applySettings(preset.settings);
+            this.recordSettings(`Preset "${preset.name}"`);
+        }
+        this.scheduleSettingsSave();
+        this.showPresetStatus();
+    }
+
+    /**
+     * Saves the current settings under the name in the name field, replacing a preset of the same name.
+     */
+    savePreset() {
+        const name = this.presetNameInput.value.trim();
+        const error = checkName(name);
+        if (error) {
+            this.showPresetStatus(`Preset name: ${error}.`, true);
+            return;
+        }
+        let replaced;
+        try {
+            replaced = this.presetStore.save({ name, settings: pickSettings(this.state) });
+        } catch (err) {
+            this.showPresetStatus(errorMessage(err), true);
+            return;
+        }
+        this.activePreset = this.presetStore.get(name).name;
+        this.renderPresetOptions();
+        this.scheduleSettingsSave();
+        this.showPresetStatus(`${replaced ? 'Updated' : 'Saved'} "${this.activePreset}".`);
+    }
+
+    deletePreset() {
+        if (!this.activePreset) return;
+        const name = this.activePreset;
+        this.presetStore.remove(name);
+        this.activePreset = null;
+        this.presetNameInput.value = '';
+        this.renderPresetOptions();
+        this.scheduleSettingsSave();
+        this.showPresetStatus(`Deleted "${name}". The current settings are kept.`);
+    }
+
+    exportPresets() {
+        const presets = this.presetStore.list();
+        if (presets.length === 0) {
+            this.showPresetStatus('No presets to export yet. Save the current settings first.', true);
+            return;
+        }
+        this.saveBlob(new Blob([serializePresets(presets)], { type: 'application/json' }), 'image-fix-presets.json');
+    }
+
+    /**
+     * Adds the presets from a JSON file. Nothing is imported when any preset in it is invalid.
+     * @param {File} file
+     */
+    async importPresets(file) {
+        try {
+            const presets = parsePresetFile(await file.text());
+            const replaced = presets.filter(preset => this.presetStore.save(preset)).length;
+            this.renderPresetOptions();
+            this.showPresetStatus(`Imported ${presets.length} preset(s) from ${file.name}${replaced ? `, replacing ${replaced}` : ''}.`);
+        } catch (err) {
+            if (!(err instanceof PresetError)) console.error('Preset import failed:', err);
+            this.showPresetStatus(`Could not import ${file.name}. ${errorMessage(err)}`, true);
+        }
+    }
+
+    /**
+     * Remembers the settings for the next visit once they have stopped changing.
+     */
+    scheduleSettingsSave() {
+        clearTimeout(this.settingsTimer);
+        this.settingsTimer = setTimeout(() => {
+            this.presetStore.saveLastUsed(pickSettings(this.state), this.activePreset);
+        }, PREVIEW_DELAY);
+    }
+
+    /**
+     * Records the settings changed since the last step as an undoable step. Repeated changes
+     * to the same settings (typing, dragging a slider) are merged into one step.
+     * @param {string} label - Names the step in the undo/redo tooltips
+     */
+    recordSettings(label) {
+        const before = this.committedSettings;
+        const after = pickSettings(this.state);
+        const changed = Object.keys(after).filter(key => JSON.stringify(after[key]) !== JSON.stringify(before[key]));
+        if (changed.length === 0) return;
+        this.committedSettings = after;
+        this.recordCommand({
+            label,
+            mergeKey: `settings:${changed.join(',')}`,
+            undo: () => this.restoreSettings(before),
+            redo: () => this.restoreSettings(after)
+        });
+    }
+
+    restoreSettings(settings) {
+        this.committedSettings = settings;
+        this.applySettings(settings);
+        this.scheduleSettingsSave();
+        this.showPresetStatus();
+    }
+
+    /**
+     * Adds a step that has just been applied to the undo history.
+     * @param {object} command - See History.push
+     */
+    recordCommand(command) {
+        this.history.push(command);
+        this.updateHistoryButtons();
+        this.scheduleSessionSave();
+    }
+
+    undo() {
+        if (!this.history.undo()) return;
+        this.updateHistoryButtons();
+        this.scheduleSessionSave();
+    }
+
+    redo() {
+        if (!this.history.redo()) return;
+        this.updateHistoryButtons();
+        this.scheduleSessionSave();
+    }
+
+    updateHistoryButtons() {
+        const { undoLabel, redoLabel } = this.history;
+        this.undoBtn.disabled = !undoLabel;
+        this.redoBtn.disabled = !redoLabel;
+        this.undoBtn.title = undoLabel ? `Undo ${undoLabel} (Ctrl+Z)` : 'Nothing to undo';
+        this.redoBtn.title = redoLabel ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+
+    /**
+     * Shows a message under the preset controls; without one, whether the settings
+     * still match the active preset.
+     * @param {string} [message]
+     * @param {boolean} [isError]
+     */
+    showPresetStatus(message, isError = false) {
+        if (!message) {
+            const preset = this.activePreset && this.presetStore.get(this.activePreset);
+            const modified = preset && JSON.stringify(preset.settings) !== JSON.stringify(pickSettings(this.state));
+            message = modified
+                ? `Changed since loading "${preset.name}". Save to update it.`
+                : 'Settings are remembered between visits.';
+        }
+        this.presetHint.textContent = message;
+        this.presetHint.classList.toggle('disabled', isError);
+    }
+
+    /**
+     * Merges an item's overrides with the global defaults.
+     * @param {object} item - Entry of this.files
+     * @returns {object} Effective settings for that item
+     */
+    getItemSettings(item) {
+        const settings = {
+            ...this.state, flipHorizontal: false, flipVertical: false, focalPoint: { x: 0.5, y: 0.5 }, straighten: 0, crop: null
+        };
+        for (const [key, value] of Object.entries(item.overrides)) {
+            if (value !== undefined) settings[key] = value;
+        }
+        return settings;
+    }
+
+    getSelectedItems() {
+        return this.files.filter(item => item.selected);
+    }
+
+    /**
+     * Copies the sidebar's rotation, resize and format settings into the overrides
+     * of every selected image.
+     */
+    applyToSelected() {
+        const selected = this.getSelectedItems();
+        if (selected.length === 0) return;
+
+        this.changeOverrides(selected, item => ({
+            ...item.overrides,
+            manualRotation: this.state.manualRotation,
+            resizeMode: this.state.resizeMode,
+            targetWidth: this.state.targetWidth,
+            targetHeight: this.state.targetHeight,
+            padColor: this.state.padColor,
+            padTransparent: this.state.padTransparent,
+            exportFormat: this.state.exportFormat
+        }), 'Apply to Selected');
+    }
+
+    /**
+     * Applies a per-card edit. If the card is part of the selection,
+     * the edit is applied to every selected card.
+     * @param {object} item
+     * @param {(settings: object) => object} edit - Returns the overrides to merge
+     * @param {string} label - Names the step in the undo/redo tooltips
+     */
+    editItem(item, edit, label) {
+        const targets = item.selected ? this.getSelectedItems() : [item];
+        this.changeOverrides(targets, target => ({ ...target.overrides, ...edit(this.getItemSettings(target)) }), label);
+    }
+
+    /**
+     * Replaces the overrides of some items as one undoable step. Overrides are never
+     * modified in place, so each step can keep the objects it replaced.
+     * @param {object[]} items
+     * @param {(item: object) => object} update - Returns the item's new overrides
+     * @param {string} label - Names the step in the undo/redo tooltips
+     */
+    changeOverrides(items, update, label) {
+        const changes = items.map(item => ({ item, before: item.overrides, after: update(item) }));
+        if (changes.every(({ before, after }) => JSON.stringify(before) === JSON.stringify(after))) return;
+        const apply = (side) => {
+            changes.forEach(change => change.item.overrides = change[side]);
+            this.refreshPreviews();
+        };
+        apply('after');
+        this.recordCommand({ label, undo: () => apply('before'), redo: () => apply('after') });
+    }
+
+    /**
+     * Removes a card, or every selected card if it is part of the selection. Undo puts them back.
+     * @param {object} item
+     */
+    removeItem(item) {
+        const targets = item.selected ? this.getSelectedItems() : [item];
+        const positions = targets.map(target => this.files.indexOf(target));
+        this.removeFiles(targets);
+        this.recordCommand({
+            label: targets.length > 1 ? `Remove ${targets.length} images` : `Remove ${item.file.name}`,
+            undo: () => this.insertFiles(targets, positions),
+            redo: () => this.removeFiles(targets)
+        });
+    }
+
+    removeFiles(targets) {
+        this.files = this.files.filter(f => !targets.includes(f));
+        targets.forEach(target => this.releasePreviews(target));
+        this.showOrientationChecks();
+
+        if (this.files.length === 0) {
+            document.getElementById('drop-zone').classList.remove('hidden');
+            this.editorSection.classList.add('hidden');
+        }
+        this.renderList();
+    }
+
+    /**
+     * Puts removed cards back where they were.
+     * @param {object[]} items
+     * @param {number[]} positions - Their former indexes in this.files, ascending
+     */
+    insertFiles(items, positions) {
+        items.forEach((item, i) => this.files.splice(Math.min(positions[i], this.files.length), 0, item));
+        document.getElementById('drop-zone').classList.add('hidden');
+        this.editorSection.classList.remove('hidden');
+        this.showOrientationChecks();
+        this.refreshPreviews(); // Their previews were released on removal
+    }
+
+    /**
+     * Offers to restore the files and edits of the last visit, if any were stored.
+     */
+    async initSession() {
+        const entries = await this.sessionStore.load();
+        // Files dropped in the meantime start a new session
+        if (entries.length === 0 || this.files.length > 0) return;
+        this.pendingSession = entries;
+        this.sessionOffer.querySelector('.session-restore-title').textContent =
+            `Your last session had ${entries.length} image(s). Restore it? Adding other files starts a new session.`;
+        this.sessionOffer.classList.remove('hidden');
+    }
+
+    async restoreSession() {
+        const entries = this.pendingSession;
+        this.pendingSession = null;
+        this.sessionOffer.classList.add('hidden');
+        if (entries) await this.handleFiles(entries);
+    }
+
+    discardSession() {
+        this.pendingSession = null;
+        this.sessionOffer.classList.add('hidden');
+        this.sessionStore.clear();
+    }
+
+    /**
+     * Stores the file list and per-image edits once they have stopped changing.
+     * Nothing is stored while a previous session is still on offer.
+     */
+    scheduleSessionSave() {
+        if (this.pendingSession) return;
+        clearTimeout(this.sessionTimer);
+        this.sessionTimer = setTimeout(() => {
+            this.sessionStore.save(this.files.map(({ id, file, relativePath, overrides }) => ({ id, file, relativePath, overrides })));
+        }, PREVIEW_DELAY);
     }
 
     updateUIState() {
-        const sizeHint = document.querySelector('.input-hint');
+        const sizeHint = this.maxSizeHint;
+        this.maxSizeInput.disabled = false;
+        sizeHint.classList.remove('disabled');
         if (this.state.exportFormat === 'png') {
-            this.maxSizeInput.disabled = true;
-            if (sizeHint) {
-                sizeHint.textContent = 'File size limit is unavailable for PNG.';
-                sizeHint.classList.add('disabled');
-            }
-        } else if (this.state.exportFormat === 'jpeg') {
-            this.maxSizeInput.disabled = false;
-            if (sizeHint) {
-                sizeHint.textContent = 'Quality will be adjusted to meet size target.';
-                sizeHint.classList.remove('disabled');
-            }
+            sizeHint.textContent = 'PNG has no quality setting: images are scaled down to meet the limit.';
+        } else if (['jpeg', 'webp', 'avif'].includes(this.state.exportFormat)) {
+            sizeHint.textContent = 'Quality will be adjusted to meet size target.';
+        } else if (this.state.exportFormat === 'smallest') {
+            sizeHint.textContent = 'Picks the smallest of JPEG, WebP and AVIF, then adjusts quality.';
         } else {
             // Auto
-            this.maxSizeInput.disabled = false;
-            if (sizeHint) {
-                sizeHint.textContent = 'Target size for JPEGs. PNGs will be converted.';
-                sizeHint.classList.remove('disabled');
-            }
+            sizeHint.textContent = 'Target size for JPEGs. PNGs will be converted.';
         }
     }
 
+    /**
+     * Adds files to the list.
+     * @param {Array<File|{ file: File, relativePath: string|null, id?: number, overrides?: object }>} newFiles
+     *   Entries from DropZone carry the path inside a dropped folder or archive; entries of a
+     *   restored session also keep their id and per-image edits
+     */
     async handleFiles(newFiles) {
         console.log('Files received:', newFiles);
         if (newFiles.length > 0) {
+            if (this.pendingSession) this.discardSession();
             document.getElementById('drop-zone').classList.add('hidden'); // Hide dropzone? Or make it smaller?
             // For now, let's keep dropzone but show editor.
             this.editorSection.classList.remove('hidden');
 
             // Process newly added files logic
-            for (const file of newFiles) {
+            for (const entry of newFiles) {
+                const { file, relativePath = null, id = null, overrides = {} } = entry instanceof File ? { file: entry } : entry;
                 console.log('Processing EXIF for:', file.name);
-                const orientation = await ImageProcessor.getOrientation(file);
+                let format = null;
+                let error = null;
+                let metadata = null;
+                let exifError = null;
+                let orientation = 1;
+                let container = null;
+                try {
+                    format = await ImageDecoder.assertSupported(file);
+                    metadata = await ImageProcessor.getMetadata(file);
+                    if (metadata && metadata.warnings.length) {
+                        console.warn(`Damaged EXIF in ${file.name}, some tags skipped:`, metadata.warnings);
+                    }
+                    container = await ImageProcessor.getContainerOrientation(file);
+                    orientation = container ?? (metadata ? metadata.orientation : 1);
+                } catch (err) {
+                    if (err instanceof DecodeError) {
+                        console.warn(`Skipping ${file.name}:`, err.message);
+                        error = err;
+                    } else if (err instanceof ExifParseError) {
+                        console.warn(`EXIF parsing failed for ${file.name}:`, err.message);
+                        exifError = err;
+                    } else {
+                        throw err;
+                    }
+                }
                 console.log('Orientation:', orientation);
                 const item = {
-                    id: Date.now() + Math.random(),
+                    id: id ?? Date.now() + Math.random(),
                     file,
+                    relativePath, // e.g. 'holiday/day 1/IMG_0001.jpg' for files from folders and ZIPs
+                    format,
+                    error, // DecodeError when the file cannot be processed at all
+                    metadata,
+                    exifError, // ExifParseError when the EXIF block could not be read
                     originalOrientation: orientation,
-                    previewUrl: URL.createObjectURL(file)
+                    orientationFromExif: container === null && !!metadata, // HEIF container transforms are not checked
+                    orientationCheck: null, // See checkOrientation; known once the first preview has decoded the pixels
+                    sourceSize: null, // { width, height } of the stored pixels
+                    thumbnail: null, // { key, url, width, height, mimeType } of the last rendered preview
+                    thumbnailJob: null, // { key, controller } while a preview is rendering
+                    previewError: null, // { key, error } when the preview for those settings failed; retried once they change
+                    original: null, // Promise of the stored pixels for the comparison view
+                    sizeResult: null, // Outcome of the last size-targeted export, see recordSizeResult
+                    status: null, // Download batch state: 'queued', 'processing', 'done', 'failed'
+                    statusError: null, // Error of a 'failed' item
+                    overrides, // Per-image settings, merged over this.state; replaced, never modified in place
+                    selected: false
                 };
                 this.files.push(item);
+                this.renderThumbnail(item);
             }
 
             this.renderList();
+            this.scheduleSessionSave();
+        }
+    }
+
+    /**
+     * Renders an item's card thumbnail through the export pipeline at reduced size, so it
+     * shows exactly what will be downloaded (crop, padding, filters, format). Does nothing
+     * when the current settings were already rendered or already failed; a pending render
+     * for older settings is dropped. Only a file that cannot be decoded is marked unusable.
+     * @param {object} item
+     */
+    async renderThumbnail(item) {
+        if (item.error) return;
+        const options = this.getPreviewOptions(item);
+        const key = JSON.stringify(options);
+        if (item.thumbnailJob && item.thumbnailJob.key === key) return;
+        if (item.thumbnailJob) {
+            item.thumbnailJob.controller.abort();
+            item.thumbnailJob = null;
+        }
+        if (item.thumbnail && item.thumbnail.key === key) return;
+        if (item.previewError && item.previewError.key === key) return;
+
+        const job = { key, controller: new AbortController() };
+        item.thumbnailJob = job;
+
+        try {
+            const { blob, mimeType, width, height, sourceWidth, sourceHeight } = await this.pool.run(item.file, options, { signal: job.controller.signal });
+            if (item.thumbnailJob !== job) return; // Superseded by newer settings
+            if (item.thumbnail) URL.revokeObjectURL(item.thumbnail.url);
+            item.thumbnail = { key, url: URL.createObjectURL(blob), width, height, mimeType };
+            item.previewError = null;
+            this.recordSourceSize(item, sourceWidth, sourceHeight);
+        } catch (err) {
+            if (item.thumbnailJob !== job) return;
+            item.thumbnailJob = null;
+            // A cancelled batch also drops queued previews: queue this one again
+            if (err instanceof CancelledError) {
+                if (this.files.includes(item)) this.renderThumbnail(item);
+                return;
+            }
+            console.warn(`Preview failed for ${item.file.name}:`, err);
+            // Errors from workers only keep their name
+            if (err.name === 'DecodeError') {
+                item.error = err;
+            } else {
+                item.previewError = { key, error: err };
+            }
+        }
+        item.thumbnailJob = null;
+
+        if (this.files.includes(item)) {
+            this.updateCard(item);
+        } else {
+            this.releasePreviews(item);
         }
     }
 
+    /**
+     * Opens the straighten and crop tool for one image. It works on the upright image
+     * (orientation, rotation and flips applied), rendered by the pipeline without any resize.
+     * @param {object} item
+     */
+    async openCropEditor(item) {
+        this.croppedItem = item;
+        this.cropEditor.open(item.file.name);
+
+        const settings = this.getItemSettings(item);
+        const options = {
+            ...this.getProcessOptions(item),
+            straighten: 0,
+            crop: null,
+            resizeMode: 'none',
+            watermark: null,
+            maxSizeBytes: null,
+            stripExif: true,
+            lossless: false,
+            previewMaxSize: COMPARE_SIZE
+        };
+        const job = { controller: new AbortController() };
+        this.cropJob = job;
+        try {
+            const { blob } = await this.pool.run(item.file, options, { signal: job.controller.signal });
+            const image = await createImageBitmap(blob);
+            if (this.cropJob !== job) {
+                image.close();
+                return;
+            }
+            this.cropEditor.setImage(image, { straighten: settings.straighten, crop: settings.crop });
+        } catch (err) {
+            if (this.cropJob !== job) return;
+            this.cropEditor.setImage({ error: errorMessage(err) });
+        }
+        this.cropJob = null;
+    }
+
+    closeCropEditor() {
+        if (this.cropJob) this.cropJob.controller.abort();
+        this.cropJob = null;
+        this.croppedItem = null;
+    }
+
+    /**
+     * Stores a straighten/crop edit on a single image (not the selection: crops rarely fit two images).
+     * @param {object} item
+     * @param {{ straighten: number, crop: object|null }} edit
+     */
+    setEdit(item, { straighten, crop }) {
+        if (!item || !this.files.includes(item)) return;
+        this.changeOverrides([item], () => {
+            const { straighten: _straighten, crop: _crop, ...overrides } = item.overrides;
+            return straighten || crop ? { ...overrides, straighten, crop } : overrides;
+        }, 'Straighten & Crop');
+    }
+
+    /**
+     * Runs the orientation check once the stored pixel size is known. Trusting the pixels
+     * of a flagged file changes its output, so it is rendered again.
+     * @param {object} item
+     * @param {number} width
+     * @param {number} height
+     */
+    recordSourceSize(item, width, height) {
+        if (item.sourceSize || !width) return;
+        item.sourceSize = { width, height };
+        if (!item.orientationFromExif) return;
+        item.orientationCheck = checkOrientation({ orientation: item.originalOrientation, width, height, metadata: item.metadata });
+        if (item.orientationCheck && item.orientationCheck.suspect) {
+            this.showOrientationChecks();
+            if (this.isTrustingPixels(item)) this.refreshPreviews();
+        }
+    }
+
+    /**
+     * Whether an item's Orientation tag is ignored: its own override if set,
+     * otherwise the batch setting for flagged files.
+     * @param {object} item
+     * @returns {boolean}
+     */
+    isTrustingPixels(item) {
+        if (item.overrides.trustPixels !== undefined) return item.overrides.trustPixels;
+        return this.state.trustPixels && !!(item.orientationCheck && item.orientationCheck.suspect);
+    }
+
+    /**
+     * Lists the files that look already rotated under the trust-pixels toggle.
+     */
+    showOrientationChecks() {
+        const flagged = this.files.filter(item => item.orientationCheck && item.orientationCheck.suspect);
+        this.orientationCheckHint.textContent = flagged.length
+            ? `${flagged.length} file(s) look already rotated: their Orientation tag would turn them a second time.`
+            : 'Files that look already rotated are flagged "Rotated twice?".';
+        this.orientationCheckHint.classList.toggle('disabled', flagged.length > 0);
+        this.orientationCheckHint.title = flagged.map(item => item.file.name).join('\n');
+    }
+
+    /**
+     * Stops pending renders for a removed item and frees its object URLs.
+     * @param {object} item
+     */
+    releasePreviews(item) {
+        if (item.thumbnailJob) item.thumbnailJob.controller.abort();
+        item.thumbnailJob = null;
+        if (item.thumbnail) URL.revokeObjectURL(item.thumbnail.url);
+        item.thumbnail = null;
+        if (item.original) item.original.then(({ url }) => URL.revokeObjectURL(url), () => {});
+        item.original = null;
+        if (this.comparedItem === item) this.compareView.close();
+    }
+
     renderList() {
         this.imageList.innerHTML = '';
-        this.files.forEach(item => {
-            const card = document.createElement('div');
-            card.className = 'image-card';
-
-            const img = document.createElement('img');
-            img.src = item.previewUrl;
-
-            // Apply CSS visual rotation to preview WITHOUT processing
-            // We want the preview to refect the *final output pixel orientation*.
-            // So we need to emulate the rotation using CSS transform.
-
-            let cssRotate = this.state.manualRotation;
-
-            // If Auto-fix is ON, we correct the EXIF visual. 
-            // Browsers handle EXIF display inconsistently. 
-            // Most modern browsers AUTO-ROTATE images with EXIF 'Orientation'.
-            // If the browser already rotates it, and we rotate it again, it's weird.
-            // BUT `ImageProcessor` intends to hard-modify the pixels.
-            // For the preview, relying on browser's default rendering of `img` tag is usually safer 
-            // IF we assume the user sees what the browser sees.
-            // However, prompt says "Images ... appear rotated ... inconsistently".
-            // We should probably rely on the browser's display of the raw file, 
-            // and apply a transform only for the Manual Rotation.
-            // IF the browser respects EXIF, the image looks "correct" (upright).
-            // If we then apply `manualRotation`, it rotates relative to that.
-
-            // Let's assume modern Chrome (User's browser): It respects EXIF orientation 100%.
-            // So `img.src = file` will show the image upright.
-            // So we only need to apply `state.manualRotation` via CSS.
-
-            img.style.transform = `rotate(${cssRotate}deg)`;
-            img.style.transition = 'transform 0.3s ease';
-
-            const info = document.createElement('div');
-            info.className = 'card-info';
-            info.innerHTML = `
-        <div class="file-name" title="${item.file.name}">${item.file.name}</div>
-        <div class="exif-badge">Exif: ${item.originalOrientation}</div>
-      `;
+        this.files.forEach(item => this.imageList.appendChild(this.renderCard(item)));
+    }
+
+    /**
+     * Re-renders a single card in place, e.g. when its thumbnail is ready.
+     * @param {object} item
+     */
+    updateCard(item) {
+        const card = Array.from(this.imageList.children).find(el => el.dataset.id === String(item.id));
+        if (card) card.replaceWith(this.renderCard(item));
+    }
+
+    /**
+     * @param {object} item
+     * @returns {HTMLElement}
+     */
+    renderCard(item) {
+        if (item.error) return this.renderErrorCard(item);
+
+        const card = document.createElement('div');
+        card.className = 'image-card';
+        card.dataset.id = String(item.id);
+        card.classList.toggle('selected', item.selected);
+
+        // The thumbnail is already the oriented output, so no CSS transform is needed.
+        // While newer settings render, the previous thumbnail stays visible but dimmed.
+        const previewKey = JSON.stringify(this.getPreviewOptions(item));
+        const previewError = item.previewError && item.previewError.key === previewKey ? item.previewError.error : null;
+        const img = document.createElement('img');
+        if (item.thumbnail) {
+            img.src = item.thumbnail.url;
+            card.classList.toggle('preview-stale', item.thumbnail.key !== previewKey);
+        } else {
+            card.classList.add(previewError ? 'preview-failed' : 'preview-pending');
+        }
+        img.title = 'Compare before/after';
+        img.addEventListener('click', () => this.openComparison(item));
 
-            card.appendChild(img);
-            card.appendChild(info);
-            this.imageList.appendChild(card);
+        const select = document.createElement('input');
+        select.type = 'checkbox';
+        select.className = 'card-select';
+        select.title = 'Select';
+        select.checked = item.selected;
+        select.addEventListener('change', (e) => {
+            item.selected = e.target.checked;
+            this.selectAllToggle.checked = this.files.every(f => f.selected);
+            card.classList.toggle('selected', item.selected);
         });
+
+        const actions = document.createElement('div');
+        actions.className = 'card-actions';
+        const addAction = (label, title, onClick) => {
+            const btn = document.createElement('button');
+            btn.className = 'icon-btn small';
+            btn.textContent = label;
+            btn.title = title;
+            btn.addEventListener('click', onClick);
+            actions.appendChild(btn);
+        };
+        addAction('↺', 'Rotate Left', () => this.editItem(item, s => ({ manualRotation: (s.manualRotation - 90 + 360) % 360 }), 'Rotate Left'));
+        addAction('↻', 'Rotate Right', () => this.editItem(item, s => ({ manualRotation: (s.manualRotation + 90) % 360 }), 'Rotate Right'));
+        addAction('⇋', 'Flip Horizontal', () => this.editItem(item, s => flipEdit(s, 'horizontal'), 'Flip Horizontal'));
+        addAction('⇅', 'Flip Vertical', () => this.editItem(item, s => flipEdit(s, 'vertical'), 'Flip Vertical'));
+        addAction('✂', 'Straighten & Crop', () => this.openCropEditor(item));
+        addAction('✕', 'Remove', () => this.removeItem(item));
+
+        const hasOverrides = Object.keys(item.overrides).length > 0;
+        const { thumbnail } = item;
+        const sizeResult = this.getSizeResult(item);
+        let sizeBadge = '';
+        if (sizeResult && sizeResult.met === false) {
+            sizeBadge = `<div class="exif-badge error-badge" title="${formatBytes(sizeResult.size)} exceeds ${formatBytes(sizeResult.maxSizeBytes)}">Over size</div>`;
+        } else if (sizeResult && sizeResult.scale < 1) {
+            sizeBadge = `<div class="exif-badge warning-badge" title="Scaled down to meet ${formatBytes(sizeResult.maxSizeBytes)}">Scaled ${Math.round(sizeResult.scale * 100)}%</div>`;
+        }
+        const check = item.orientationCheck;
+        const trusting = this.isTrustingPixels(item);
+        let orientationBadge = '';
+        if ((check && check.suspect) || trusting) {
+            const details = check ? check.checks.map(c => `${c.source}: ${c.detail}`) : [];
+            const action = trusting ? 'Click to apply the Orientation tag again.' : 'Click to ignore the Orientation tag for this file.';
+            orientationBadge = `<button class="exif-badge warning-badge orientation-badge" title="${escapeHtml([...details, action].join('\n'))}">${trusting ? 'Pixels trusted' : 'Rotated twice?'}</button>`;
+        }
+        const info = document.createElement('div');
+        info.className = 'card-info';
+        info.innerHTML = `
+        <div class="file-name" title="${escapeHtml(item.file.name)}">${escapeHtml(item.file.name)}</div>
+        ${item.exifError
+            ? `<div class="exif-badge error-badge" title="${escapeHtml(item.exifError.message)}">Exif: unreadable</div>`
+            : `<div class="exif-badge">Exif: ${item.originalOrientation}</div>`}
+        ${orientationBadge}
+        ${hasOverrides ? '<div class="exif-badge override-badge">Custom</div>' : ''}
+        ${sizeBadge}
+        ${previewError ? `<div class="exif-badge error-badge" title="${escapeHtml(previewError.message || String(previewError))}">Preview failed</div>` : ''}
+        ${this.renderStatusBadge(item)}
+        ${thumbnail ? `<div class="card-output">${thumbnail.width}×${thumbnail.height} · ${ImageProcessor.getFormatLabel(thumbnail.mimeType)}</div>` : ''}
+      `;
+
+        const badge = info.querySelector('.orientation-badge');
+        if (badge) badge.addEventListener('click', () => this.editItem(item, () => ({ trustPixels: !trusting }), 'Orientation check'));
+
+        card.appendChild(select);
+        card.appendChild(img);
+        card.appendChild(actions);
+        card.appendChild(info);
+        return card;
+    }
+
+    /**
+     * Card for a file that cannot be processed: name, reason and a remove button.
+     * @param {object} item
+     * @returns {HTMLElement}
+     */
+    renderErrorCard(item) {
+        const card = document.createElement('div');
+        card.className = 'image-card error-card';
+        card.dataset.id = String(item.id);
+
+        const message = document.createElement('div');
+        message.className = 'card-error';
+        message.textContent = item.error.message || String(item.error);
+
+        const actions = document.createElement('div');
+        actions.className = 'card-actions';
+        const remove = document.createElement('button');
+        remove.className = 'icon-btn small';
+        remove.textContent = '✕';
+        remove.title = 'Remove';
+        remove.addEventListener('click', () => this.removeItem(item));
+        actions.appendChild(remove);
+
+        const info = document.createElement('div');
+        info.className = 'card-info';
+        info.innerHTML = `
+        <div class="file-name" title="${escapeHtml(item.file.name)}">${escapeHtml(item.file.name)}</div>
+        <div class="exif-badge error-badge">${item.format ? 'Decode failed' : 'Unsupported'}</div>
+      `;
+
+        card.appendChild(message);
+        card.appendChild(actions);
+        card.appendChild(info);
+        return card;
     }
 
+    /**
+     * Updates the cards right away and re-renders thumbnails (and the open comparison)
+     * once the settings have stopped changing for PREVIEW_DELAY.
+     */
     refreshPreviews() {
-        // Just re-render the list or update styles
         this.renderList();
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => {
+            this.files.forEach(item => this.renderThumbnail(item));
+            if (this.comparedItem) this.renderComparison();
+        }, PREVIEW_DELAY);
+    }
+
+    /**
+     * Opens the before/after view for an item.
+     * @param {object} item
+     */
+    openComparison(item) {
+        this.comparedItem = item;
+        this.compareView.open(item.file.name);
+        this.renderComparisonOriginal(item);
+        this.renderComparison();
+    }
+
+    closeComparison() {
+        if (this.comparisonJob) this.comparisonJob.controller.abort();
+        this.comparisonJob = null;
+        URL.revokeObjectURL(this.comparisonUrl);
+        this.comparisonUrl = null;
+        this.comparedItem = null;
+    }
+
+    /**
+     * "Before" side: the stored pixels, without any orientation applied, so the fix is visible.
+     * Rendered once per item at COMPARE_SIZE, since HEIC/TIFF can't be shown directly.
+     * @param {object} item
+     */
+    async renderComparisonOriginal(item) {
+        if (!item.original) {
+            item.original = this.pool.run(item.file, { orientation: 1, previewMaxSize: COMPARE_SIZE })
+                .then(({ blob, width, height }) => ({ url: URL.createObjectURL(blob), width, height }));
+        }
+
+        let original;
+        try {
+            original = await item.original;
+        } catch (err) {
+            item.original = null;
+            if (this.comparedItem === item) this.compareView.setPane('before', { error: err.message || String(err) });
+            return;
+        }
+        if (this.comparedItem !== item) return;
+
+        this.compareView.setPane('before', {
+            url: original.url,
+            details: [
+                ['Dimensions', `${original.width}×${original.height}`],
+                ['Format', ImageDecoder.getLabel(item.format)],
+                ['Size', formatBytes(item.file.size)],
+                ['Orientation', item.exifError ? 'EXIF unreadable' : String(item.originalOrientation)],
+                ...(item.orientationCheck ? [['Orientation check', item.orientationCheck.suspect
+                    ? `Looks already rotated${this.isTrustingPixels(item) ? ' (pixels trusted)' : ''}`
+                    : 'Consistent']] : [])
+            ]
+        });
     }
 
+    /**
+     * "After" side: the full export with the item's current settings, so dimensions,
+     * format, file size and the quality picked by the size search are exact.
+     */
+    async renderComparison() {
+        const item = this.comparedItem;
+        const settings = this.getItemSettings(item);
+        const options = this.getProcessOptions(item);
+
+        // The focal point is stored for the upright image; the original is shown as stored
+        const transform = ImageProcessor.resolveTransform(options);
+        this.compareView.setFocalPoint(settings.resizeMode === 'both-cover'
+            ? mapPoint(settings.focalPoint, invertTransform(transform))
+            : null);
+
+        const key = JSON.stringify(options);
+        if (this.comparisonJob && this.comparisonJob.item === item && this.comparisonJob.key === key) return;
+        if (this.comparisonJob) this.comparisonJob.controller.abort();
+        const job = { item, key, controller: new AbortController() };
+        this.comparisonJob = job;
+        this.compareView.setPane('after', null);
+
+        let result;
+        try {
+            result = await this.pool.run(item.file, options, { signal: job.controller.signal });
+        } catch (err) {
+            if (this.comparisonJob !== job) return;
+            this.comparisonJob = null; // Allow a retry with the same settings
+            const message = err instanceof CancelledError ? 'Rendering cancelled' : (err.message || String(err));
+            this.compareView.setPane('after', { error: message });
+            return;
+        }
+        if (this.comparisonJob !== job) return;
+        this.recordSizeResult(item, options, result);
+        this.updateCard(item);
+
+        URL.revokeObjectURL(this.comparisonUrl);
+        this.comparisonUrl = URL.createObjectURL(result.blob);
+
+        let quality = result.quality === null ? 'Lossless' : `${Math.round(result.quality * 100)}%`;
+        if (result.lossless) quality = 'Lossless rotation (not re-encoded)';
+        this.compareView.setPane('after', {
+            url: this.comparisonUrl,
+            details: [
+                ['Dimensions', `${result.width}×${result.height}`],
+                ['Format', ImageProcessor.getFormatLabel(result.mimeType)],
+                ['Size', formatBytes(result.blob.size)],
+                ['Quality', quality],
+                ...(result.targetMet === null ? [] : [['Size target', `${result.targetMet ? 'Met' : 'Missed'} (${formatBytes(options.maxSizeBytes)})`]]),
+                ...(result.scale < 1 ? [['Scaled', `${Math.round(result.scale * 100)}% to meet the size target`]] : []),
+                ...(result.losslessFallback ? [['Note', `Re-encoded: ${result.losslessFallback}`]] : [])
+            ]
+        });
+    }
+
+    /**
+     * Focal point picked on the original in the comparison view.
+     * @param {object} item
+     * @param {{ x: number, y: number }} point - 0-1 of the stored image
+     */
+    setFocalPoint(item, point) {
+        const transform = ImageProcessor.resolveTransform(this.getProcessOptions(item));
+        this.changeOverrides([item], () => ({ ...item.overrides, focalPoint: mapPoint(point, transform) }), 'Focal Point');
+    }
+
+    /**
+     * Builds the ImageProcessor options for one item from its effective settings.
+     * @param {object} item
+     * @returns {object}
+     */
+    getProcessOptions(item) {
+        const settings = this.getItemSettings(item);
+        return {
+            // If autoFix is off, or the pixels are trusted over the tag, treat as 1 (no rotation)
+            orientation: settings.autoFix && !this.isTrustingPixels(item) ? item.originalOrientation : 1,
+            manualRotation: settings.manualRotation,
+            flipHorizontal: settings.flipHorizontal,
+            flipVertical: settings.flipVertical,
+            straighten: settings.straighten,
+            crop: settings.crop,
+            resizeMode: settings.resizeMode,
+            targetWidth: settings.targetWidth,
+            targetHeight: settings.targetHeight,
+            maxSizeBytes: settings.maxSizeBytes,
+            exportFormat: settings.exportFormat,
+            stripExif: settings.stripExif,
+            lossless: settings.lossless,
+            focalPoint: settings.focalPoint,
+            padColor: settings.padTransparent ? 'transparent' : settings.padColor,
+            resampling: settings.resampling,
+            sharpen: settings.sharpen,
+            minQuality: settings.minQuality,
+            watermark: this.getWatermark(settings)
+        };
+    }
+
+    /**
+     * @param {object} settings - From getItemSettings
+     * @returns {object|null} The process() watermark option, null when off
+     */
+    getWatermark(settings) {
+        const type = settings.watermarkType;
+        if (type === 'none') return null;
+        return {
+            type,
+            text: settings.watermarkText,
+            font: settings.watermarkFont,
+            color: settings.watermarkColor,
+            logoId: type === 'image' && settings.watermarkLogo ? this.getLogoId(settings.watermarkLogo) : null,
+            anchor: settings.watermarkAnchor,
+            size: type === 'image' ? settings.watermarkLogoSize : settings.watermarkTextSize,
+            margin: settings.watermarkMargin,
+            opacity: settings.watermarkOpacity
+        };
+    }
+
+    /**
+     * Id of a logo data URL for the watermark option. The logo is handed to the worker pool
+     * the first time, so jobs and cache keys carry the short id instead of the data URL.
+     * @param {string} dataUrl
+     * @returns {string}
+     */
+    getLogoId(dataUrl) {
+        if (!this.logo || this.logo.dataUrl !== dataUrl) {
+            this.logo = { dataUrl, id: getLogoId(dataUrl) };
+            this.pool.setLogo(this.logo.id, dataUrlToBlob(dataUrl));
+        }
+        return this.logo.id;
+    }
+
+    /**
+     * Options for a card thumbnail: the export options at THUMBNAIL_SIZE. Metadata and the
+     * lossless path don't change the pixels, so they are fixed to keep the cache key stable.
+     * @param {object} item
+     * @returns {object}
+     */
+    getPreviewOptions(item) {
+        return { ...this.getProcessOptions(item), stripExif: true, lossless: false, previewMaxSize: THUMBNAIL_SIZE };
+    }
+
+    /**
+     * Processes every file and saves the results: to a folder the user picks when the output
+     * mode is 'folder' and the browser can write there, otherwise as a download (one file
+     * directly, several as a ZIP). Each file is written as soon as it is processed and then
+     * released, so large batches don't pile up in memory.
+     * Each card shows its status; failed files are skipped unless skipFailed is off, in which
+     * case the first failure stops the batch. Failures are listed in the batch summary.
+     */
     async handleDownload() {
-        if (this.files.length === 0) return;
+        // Unsupported files stay in the list but are never processed
+        const items = this.files.filter(item => !item.error);
+        if (items.length === 0) return;
+
+        const total = items.length;
+        const skipFailed = this.state.skipFailed;
+        const variants = this.state.variantsEnabled
+            ? { variantWidths: this.state.variantWidths, variantFormats: this.state.variantFormats }
+            : null;
+        const toFolder = this.state.outputMode === 'folder' && FolderTarget.isSupported();
+        const failures = [];
+        let finished = 0;
+        const updateProgress = () => {
+            this.downloadBtn.textContent = `Processing ${finished}/${total}...`;
+            this.batchProgress.firstElementChild.style.width = `${(finished / total) * 100}%`;
+        };
 
-        this.downloadBtn.textContent = 'Processing...';
+        this.processing = true;
         this.downloadBtn.disabled = true;
+        this.cancelBtn.classList.remove('hidden');
+        this.batchProgress.classList.remove('hidden');
+        this.batchSummary.classList.add('hidden');
+        items.forEach(item => this.setItemStatus(item, 'queued'));
+        updateProgress();
+
+        let outcome = 'done';
+        let target = null;
+        let saveError = null;
+        let stopped = false;
+        let writing = Promise.resolve();
+        // Writes go one at a time, in the order files finish
+        const save = (path, blob) => {
+            writing = writing.then(() => (stopped ? null : target.write(path, blob))).catch(err => {
+                saveError = saveError || err;
+                throw err;
+            });
+            return writing;
+        };
 
         try {
-            const zip = new JSZip();
-
-            let lastProcessedBlob = null;
-            let lastProcessedName = "";
-
-            // Process all images
-            for (const item of this.files) {
-                const { blob: processedBlob, mimeType } = await ImageProcessor.process(item.file, {
-                    orientation: this.state.autoFix ? item.originalOrientation : 1, // If autoFix OFF, treat as 1 (no rotation)
-                    manualRotation: this.state.manualRotation,
-                    resizeMode: this.state.resizeMode,
-                    targetWidth: this.state.targetWidth,
-                    targetHeight: this.state.targetHeight,
-                    maxSizeBytes: this.state.maxSizeBytes,
-                    exportFormat: this.state.exportFormat
+            // The folder picker needs the click's user activation: nothing may be awaited before it
+            target = toFolder
+                ? await FolderTarget.pick()
+                : total === 1 && !variants ? new SingleFileTarget() : await ZipTarget.create(this.state.zipName);
+            if (!target) throw new CancelledError('No folder chosen');
+            // Streaming may only turn out to be unavailable now, e.g. in private browsing
+            if (target instanceof ZipTarget && target.inMemory) this.showOutputMode();
+
+            const losslessFallbacks = [];
+            const responsiveImages = []; // By batch position, for picture.html and manifest.json
+            const uniquePath = createUniquePaths();
+
+            // Process all images in parallel (bounded by the pool's concurrency)
+            await Promise.all(items.map((item, index) => {
+                const options = this.getProcessOptions(item);
+                const dir = this.state.keepFolders ? this.getRelativeDir(item) : '';
+                const onProgress = (stage) => {
+                    if (stage !== 'queued' && item.status !== 'processing') this.setItemStatus(item, 'processing');
+                };
+                const job = variants
+                    ? this.pool.run(item.file, { ...options, ...variants }, { onProgress, task: 'processVariants' })
+                    : this.pool.run(item.file, options, { onProgress });
+                return job.then(async result => {
+                    if (variants) {
+                        const files = [];
+                        for (const variant of result) {
+                            const name = getVariantFileName(this.getOutputName(item, variant, index + 1, total), variant.variantWidth);
+                            const path = uniquePath(joinPath(dir, name));
+                            files.push({ path, width: variant.width, height: variant.height, mimeType: variant.mimeType, bytes: variant.blob.size });
+                            await save(path, variant.blob);
+                        }
+                        responsiveImages[index] = { source: item.relativePath || item.file.name, variants: files };
+                    } else {
+                        this.recordSizeResult(item, options, result);
+                        if (result.losslessFallback) {
+                            losslessFallbacks.push(`${item.file.name}: ${result.losslessFallback}`);
+                        }
+                        // {index} counts every file of the batch, so names don't shift when one fails
+                        const name = this.getOutputName(item, result, index + 1, total);
+                        await save(uniquePath(joinPath(dir, name)), result.blob);
+                    }
+                    this.setItemStatus(item, 'done');
+                }, err => {
+                    if (err instanceof CancelledError) throw err;
+                    console.error(`Processing failed for ${item.file.name}:`, err);
+                    this.setItemStatus(item, 'failed', err);
+                    failures.push({ item, error: err });
+                    if (!skipFailed) throw err;
+                }).finally(() => {
+                    finished++;
+                    updateProgress();
                 });
+            }));
+            this.showSizeTargetResults(items);
 
-                // Add to zip
-                // Determine extension based on actual mimeType and original extension
-                const origExt = item.file.name.split('.').pop().toLowerCase();
-                const newExt = mimeType === 'image/png' ? 'png' : (origExt === 'jpeg' ? 'jpeg' : 'jpg');
-                const nameParts = item.file.name.split('.');
-                nameParts.pop(); // Remove old extension
-                const base = nameParts.join('.');
-                const newName = `${base}_fixed.${newExt}`;
-
-                zip.file(newName, processedBlob);
-                lastProcessedBlob = processedBlob;
-                lastProcessedName = newName;
+            // In batch order, whatever order the files finished in
+            const responsive = responsiveImages.filter(Boolean);
+            if (responsive.length && this.state.variantHtml) {
+                const html = buildPictureHtml(responsive);
+                await save(uniquePath('picture.html'), new Blob([html], { type: 'text/html' }));
             }
-
-            if (this.files.length === 1) {
-                // Single file download directly
-                this.saveBlob(lastProcessedBlob, lastProcessedName);
-            } else {
-                // Zip download
-                const content = await zip.generateAsync({ type: 'blob' });
-                this.saveBlob(content, 'images_fixed.zip');
+            if (responsive.length && this.state.variantManifest) {
+                const manifest = buildManifest(responsive);
+                await save(uniquePath('manifest.json'), new Blob([manifest], { type: 'application/json' }));
             }
 
-            // alert('Download Complete!'); // Optional success message
+            if (target instanceof ZipTarget) this.downloadBtn.textContent = 'Finishing ZIP...';
+            const download = await target.close();
+            if (download) this.saveBlob(download.blob, download.name);
+
+            this.showLosslessFallbacks(losslessFallbacks);
 
         } catch (err) {
-            console.error(err);
-            alert('Error processing images: ' + (err.message || err));
+            stopped = true;
+            if (saveError) {
+                this.pool.cancel();
+                console.error('Saving failed:', saveError);
+                outcome = 'save-failed';
+            } else if (err instanceof CancelledError) {
+                outcome = 'cancelled';
+            } else {
+                this.pool.cancel(); // Stop the rest of the batch
+                console.error(err);
+                outcome = 'stopped';
+            }
+            await writing.catch(() => {});
+            if (target) await target.abort();
+            // Whatever had not finished is no longer pending
+            items.filter(item => ['queued', 'processing'].includes(item.status))
+                .forEach(item => this.setItemStatus(item, null));
         } finally {
-            this.downloadBtn.textContent = 'Download All';
+            this.processing = false;
+            this.downloadBtn.textContent = this.getDownloadLabel();
             this.downloadBtn.disabled = false;
+            this.cancelBtn.classList.add('hidden');
+            this.batchProgress.classList.add('hidden');
         }
+
+        // Only a folder keeps the files of an unfinished batch
+        const saved = target && (outcome === 'done' || toFolder) ? target.count : 0;
+        this.showBatchSummary({ outcome, total, saved, toFolder, failures, error: saveError });
+    }
+
+    /**
+     * @returns {string} Text of the download button for the current output mode
+     */
+    getDownloadLabel() {
+        return this.state.outputMode === 'folder' && FolderTarget.isSupported() ? 'Save All to Folder' : 'Download All';
+    }
+
+    /**
+     * Output file name from the name template.
+     * @param {object} item
+     * @param {object} result - ImageProcessor.process result
+     * @param {number} index - 1-based position in the batch
+     * @param {number} total - Batch size
+     * @returns {string}
+     */
+    getOutputName(item, result, index, total) {
+        const exif = item.metadata && item.metadata.exif;
+        return formatFileName(this.state.nameTemplate, {
+            name: splitExtension(item.file.name).base,
+            index,
+            total,
+            width: result.width,
+            height: result.height,
+            date: formatExifDate(exif && exif.DateTimeOriginal) || formatExifDate(item.file.lastModified),
+            // Based on the actual output type; keeps '.jpeg' when the original used it
+            ext: ImageProcessor.getExtension(result.mimeType, item.file.name)
+        });
+    }
+
+    /**
+     * Folder of a file inside a dropped/selected directory, '' for loose files.
+     * @param {object} item
+     * @returns {string}
+     */
+    getRelativeDir(item) {
+        const path = item.relativePath || '';
+        return path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+    }
+
+    /**
+     * Updates an item's batch status and its card.
+     * @param {object} item
+     * @param {string|null} status - 'queued', 'processing', 'done', 'failed' or null
+     * @param {Error} [error] - Reason for 'failed'
+     */
+    setItemStatus(item, status, error = null) {
+        item.status = status;
+        item.statusError = error;
+        this.updateCard(item);
+    }
+
+    renderStatusBadge(item) {
+        switch (item.status) {
+            case 'queued':
+                return '<div class="exif-badge status-badge">Queued</div>';
+            case 'processing':
+                return '<div class="exif-badge status-badge status-processing">Processing…</div>';
+            case 'done':
+                return '<div class="exif-badge status-badge status-done">Done</div>';
+            case 'failed':
+                return `<div class="exif-badge status-badge error-badge" title="${escapeHtml(errorMessage(item.statusError))}">Failed</div>`;
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Reports the end of a batch above the image list: what was saved and which
+     * files failed, with the reason for each.
+     * @param {object} batch
+     * @param {string} batch.outcome - 'done', 'cancelled', 'stopped' (a failure with skipFailed off)
+     *   or 'save-failed' (a file could not be written)
+     * @param {number} batch.total
+     * @param {number} batch.saved - Files downloaded or written to the folder
+     * @param {boolean} batch.toFolder
+     * @param {Array<{ item: object, error: Error }>} batch.failures
+     * @param {Error|null} [batch.error] - Why saving failed
+     */
+    showBatchSummary({ outcome, total, saved, toFolder, failures, error = null }) {
+        const title = this.batchSummary.querySelector('.batch-summary-title');
+        const list = this.batchSummary.querySelector('.batch-summary-list');
+        const kept = saved ? `${saved} file(s) already saved to the folder were kept.` : 'Nothing was downloaded.';
+
+        if (outcome === 'cancelled') {
+            title.textContent = `Processing cancelled. ${kept}`;
+        } else if (outcome === 'stopped') {
+            title.textContent = `Processing stopped at the first failure (Skip failed files is off). ${kept}`;
+        } else if (outcome === 'save-failed') {
+            title.textContent = `Saving failed: ${errorMessage(error)}. ${kept}`;
+        } else if (failures.length === 0) {
+            // A clean run needs no report
+            this.batchSummary.classList.add('hidden');
+            return;
+        } else {
+            title.textContent = `${toFolder ? 'Saved' : 'Downloaded'} ${saved} of ${total} files. ${failures.length} failed:`;
+        }
+
+        list.innerHTML = '';
+        for (const { item, error } of failures) {
+            const entry = document.createElement('li');
+            const name = document.createElement('span');
+            name.className = 'file-name';
+            name.textContent = item.file.name;
+            entry.append(name, ` — ${errorMessage(error)}`);
+            list.appendChild(entry);
+        }
+
+        this.batchSummary.classList.toggle('has-failures', failures.length > 0);
+        this.batchSummary.classList.remove('hidden');
+    }
+
+    /**
+     * Keeps the outcome of a size-targeted export on the item, for the card badges.
+     * @param {object} item
+     * @param {object} options - The options the item was processed with
+     * @param {object} result - ImageProcessor.process result
+     */
+    recordSizeResult(item, options, result) {
+        item.sizeResult = options.maxSizeBytes ? {
+            key: JSON.stringify(options),
+            maxSizeBytes: options.maxSizeBytes,
+            size: result.blob.size,
+            quality: result.quality,
+            scale: result.scale,
+            met: result.targetMet
+        } : null;
+    }
+
+    /**
+     * Size-target outcome of an item, if it was exported with its current settings.
+     * @param {object} item
+     * @returns {object|null} See recordSizeResult
+     */
+    getSizeResult(item) {
+        const { sizeResult } = item;
+        return sizeResult && sizeResult.key === JSON.stringify(this.getProcessOptions(item)) ? sizeResult : null;
+    }
+
+    /**
+     * Summarizes which files missed the size target or had to be scaled down.
+     * @param {object[]} items - Items of the finished batch
+     */
+    showSizeTargetResults(items) {
+        const missed = [];
+        const scaled = [];
+        for (const item of items) {
+            const result = this.getSizeResult(item);
+            if (!result) continue;
+            const summary = `${item.file.name}: ${formatBytes(result.size)} of ${formatBytes(result.maxSizeBytes)}`
+                + (result.quality !== null ? `, quality ${Math.round(result.quality * 100)}%` : '')
+                + (result.scale < 1 ? `, scaled to ${Math.round(result.scale * 100)}%` : '');
+            if (result.met === false) missed.push(summary);
+            else if (result.scale < 1) scaled.push(summary);
+        }
+
+        if (missed.length === 0 && scaled.length === 0) {
+            this.sizeTargetHint.textContent = 'Below this quality, images are scaled down to fit instead.';
+            this.sizeTargetHint.classList.remove('disabled');
+            this.sizeTargetHint.title = '';
+            return;
+        }
+        const parts = [];
+        if (missed.length) parts.push(`${missed.length} file(s) missed the size target`);
+        if (scaled.length) parts.push(`${scaled.length} file(s) were scaled down to fit`);
+        this.sizeTargetHint.textContent = `${parts.join(', ')}. Hover for details.`;
+        this.sizeTargetHint.classList.toggle('disabled', missed.length > 0);
+        this.sizeTargetHint.title = [...missed, ...scaled].join('\n');
+    }
+
+    /**
+     * Tells the user which files could not be rotated losslessly and were re-encoded.
+     * @param {string[]} fallbacks - "name: reason" entries
+     */
+    showLosslessFallbacks(fallbacks) {
+        if (fallbacks.length === 0) {
+            this.losslessHint.textContent = 'Rotates JPEGs without re-compressing when no resize, size limit or watermark is set.';
+            this.losslessHint.classList.remove('disabled');
+            this.losslessHint.title = '';
+            return;
+        }
+        this.losslessHint.textContent = `${fallbacks.length} file(s) were re-encoded: lossless rotation needs a baseline JPEG whose size is a multiple of the MCU (8 or 16 px).`;
+        this.losslessHint.classList.add('disabled');
+        this.losslessHint.title = fallbacks.join('\n');
     }
 
     saveBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
         const link = document.createElement('a');
-        link.href = URL.createObjectURL(blob);
+        link.href = url;
         link.download = filename;
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
+        // Revoking right after the click can abort the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY);
     }
 }
+
+/**
+ * @param {number} bytes
+ * @returns {string} e.g. "512.0 KB", "2.4 MB"
+ */
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * @param {Error|string} error
+ * @returns {string}
+ */
+function errorMessage(error) {
+    return (error && error.message) || String(error);
+}
+
+/**
+ * @param {string} dataUrl - base64 data URL
+ * @returns {Blob}
+ */
+function dataUrlToBlob(dataUrl) {
+    const comma = dataUrl.indexOf(',');
+    const binary = atob(dataUrl.slice(comma + 1));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type: dataUrl.slice(5, comma).split(';')[0] });
+}
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
@@ -0,0 +1,150 @@
+/**
+ * Modal before/after view for one image: the stored pixels on the left, the rendered
+ * output on the right, each with a list of details underneath.
+ * In cover mode the original doubles as the focal point picker.
+ */
+export class CompareView {
+    /**
+     * @param {string} elementId - The modal root
+     * @param {object} callbacks
+     * @param {(point: { x: number, y: number }) => void} callbacks.onFocalPointSelected - 0-1 of the original (stored) image
+     * @param {() => void} callbacks.onClose
+     */
+    constructor(elementId, { onFocalPointSelected, onClose }) {
+        this.element = document.getElementById(elementId);
+        this.title = this.element.querySelector('.modal-title');
+        this.closeBtn = this.element.querySelector('.modal-close');
+        this.hint = this.element.querySelector('.compare-hint');
+        this.panes = {
+            before: this.element.querySelector('[data-pane="before"]'),
+            after: this.element.querySelector('[data-pane="after"]')
+        };
+        this.marker = this.panes.before.querySelector('.focal-marker');
+        this.onFocalPointSelected = onFocalPointSelected;
+        this.onClose = onClose;
+        this.focalPoint = null;
+
+        this.init();
+    }
+
+    init() {
+        this.closeBtn.addEventListener('click', () => this.close());
+
+        // Click on the backdrop (outside the dialog) closes
+        this.element.addEventListener('click', (e) => {
+            if (e.target === this.element) this.close();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) this.close();
+        });
+
+        const beforeImg = this.panes.before.querySelector('img');
+        beforeImg.addEventListener('load', () => this.positionMarker());
+        beforeImg.addEventListener('click', (e) => {
+            if (!this.focalPoint) return;
+            const point = this.getPointFromClick(beforeImg, e);
+            this.setFocalPoint(point);
+            this.onFocalPointSelected(point);
+        });
+        window.addEventListener('resize', () => this.positionMarker());
+    }
+
+    get isOpen() {
+        return !this.element.classList.contains('hidden');
+    }
+
+    /**
+     * Shows the modal with both panes in their loading state.
+     * @param {string} title
+     */
+    open(title) {
+        this.title.textContent = title;
+        this.setPane('before', null);
+        this.setPane('after', null);
+        this.element.classList.remove('hidden');
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.element.classList.add('hidden');
+        this.onClose();
+    }
+
+    /**
+     * Fills one side of the comparison.
+     * @param {'before'|'after'} side
+     * @param {{ url: string, details: Array<[string, string]> }|{ error: string }|null} content - null while rendering
+     */
+    setPane(side, content) {
+        const pane = this.panes[side];
+        const img = pane.querySelector('img');
+        const details = pane.querySelector('.compare-details');
+        const status = pane.querySelector('.compare-status');
+
+        pane.classList.toggle('loading', !content);
+        details.innerHTML = '';
+        status.textContent = !content ? 'Rendering…' : (content.error || '');
+        status.classList.toggle('error', !!(content && content.error));
+
+        if (!content || content.error) {
+            img.removeAttribute('src');
+            return;
+        }
+
+        img.src = content.url;
+        for (const [label, value] of content.details) {
+            const dt = document.createElement('dt');
+            dt.textContent = label;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            details.append(dt, dd);
+        }
+    }
+
+    /**
+     * Enables focal point picking on the original and moves the marker.
+     * @param {{ x: number, y: number }|null} point - 0-1 of the original image; null disables picking
+     */
+    setFocalPoint(point) {
+        this.focalPoint = point;
+        this.panes.before.classList.toggle('focal-mode', !!point);
+        this.marker.classList.toggle('hidden', !point);
+        this.hint.classList.toggle('hidden', !point);
+        this.positionMarker();
+    }
+
+    /**
+     * Size and position of the image inside an <img> with object-fit: contain,
+     * relative to its offset parent.
+     */
+    getDisplayedImageBox(img) {
+        const scale = Math.min(img.clientWidth / img.naturalWidth, img.clientHeight / img.naturalHeight);
+        const width = img.naturalWidth * scale;
+        const height = img.naturalHeight * scale;
+        return {
+            left: img.offsetLeft + (img.offsetWidth - width) / 2,
+            top: img.offsetTop + (img.offsetHeight - height) / 2,
+            width,
+            height
+        };
+    }
+
+    getPointFromClick(img, e) {
+        const box = this.getDisplayedImageBox(img);
+        const rect = img.getBoundingClientRect();
+        const clamp = (v) => Math.min(1, Math.max(0, v));
+        return {
+            x: clamp((e.clientX - rect.left - (box.left - img.offsetLeft)) / box.width),
+            y: clamp((e.clientY - rect.top - (box.top - img.offsetTop)) / box.height)
+        };
+    }
+
+    positionMarker() {
+        const img = this.panes.before.querySelector('img');
+        if (!this.focalPoint || !img.naturalWidth || !img.getAttribute('src')) return;
+        const box = this.getDisplayedImageBox(img);
+        this.marker.style.left = `${box.left + this.focalPoint.x * box.width}px`;
+        this.marker.style.top = `${box.top + this.focalPoint.y * box.height}px`;
+    }
+}
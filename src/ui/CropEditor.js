@@ -0,0 +1,249 @@
+import { getStraightenedSize } from '../core/Geometry.js';
+
+// Smallest crop, as a fraction of the straightened image
+const MIN_CROP = 0.05;
+
+const FULL_CROP = { x: 0, y: 0, width: 1, height: 1 };
+
+/**
+ * Modal straighten and crop tool for one image. Shows the upright image rotated by the
+ * straighten angle and auto-cropped like the export pipeline (Geometry.computeEdit), with a
+ * draggable crop box on top. The crop is kept in 0-1 coordinates of the straightened image.
+ */
+export class CropEditor {
+    /**
+     * @param {string} elementId - The modal root
+     * @param {object} callbacks
+     * @param {(edit: { straighten: number, crop: { x: number, y: number, width: number, height: number }|null }) => void} callbacks.onApply
+     *   crop is null when it covers the whole straightened image
+     * @param {() => void} callbacks.onClose
+     */
+    constructor(elementId, { onApply, onClose }) {
+        this.element = document.getElementById(elementId);
+        this.title = this.element.querySelector('.modal-title');
+        this.closeBtn = this.element.querySelector('.modal-close');
+        this.stage = this.element.querySelector('.crop-stage');
+        this.canvas = this.element.querySelector('.crop-canvas');
+        this.box = this.element.querySelector('.crop-box');
+        this.status = this.element.querySelector('.compare-status');
+        this.angleSlider = this.element.querySelector('.straighten-slider');
+        this.angleInput = this.element.querySelector('.straighten-value');
+        this.ratioSelect = this.element.querySelector('.crop-ratio-select');
+        this.resetBtn = this.element.querySelector('.crop-reset');
+        this.cancelBtn = this.element.querySelector('.crop-cancel');
+        this.applyBtn = this.element.querySelector('.crop-apply');
+        this.onApply = onApply;
+        this.onClose = onClose;
+
+        this.image = null; // Upright preview of the image (ImageBitmap)
+        this.straighten = 0;
+        this.crop = { ...FULL_CROP };
+        this.drag = null; // { handle, startX, startY, crop } while dragging
+
+        this.init();
+    }
+
+    init() {
+        this.closeBtn.addEventListener('click', () => this.close());
+        this.cancelBtn.addEventListener('click', () => this.close());
+        this.element.addEventListener('click', (e) => {
+            if (e.target === this.element) this.close();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) this.close();
+        });
+
+        this.angleSlider.addEventListener('input', (e) => this.setStraighten(parseFloat(e.target.value)));
+        this.angleInput.addEventListener('change', (e) => this.setStraighten(parseFloat(e.target.value)));
+        this.ratioSelect.addEventListener('change', () => {
+            this.crop = this.constrain(this.crop, 'move');
+            this.render();
+        });
+
+        this.resetBtn.addEventListener('click', () => {
+            this.ratioSelect.value = '';
+            this.crop = { ...FULL_CROP };
+            this.setStraighten(0);
+        });
+        this.applyBtn.addEventListener('click', () => {
+            const isFull = this.crop.x === 0 && this.crop.y === 0 && this.crop.width === 1 && this.crop.height === 1;
+            this.onApply({ straighten: this.straighten, crop: isFull ? null : { ...this.crop } });
+            this.close();
+        });
+
+        // Dragging the box moves it; dragging a corner handle resizes it
+        this.box.addEventListener('pointerdown', (e) => {
+            if (!this.image) return;
+            e.preventDefault();
+            this.box.setPointerCapture(e.pointerId);
+            this.drag = { handle: e.target.dataset.handle || 'move', startX: e.clientX, startY: e.clientY, crop: { ...this.crop } };
+        });
+        this.box.addEventListener('pointermove', (e) => {
+            if (!this.drag) return;
+            const dx = (e.clientX - this.drag.startX) / this.canvas.clientWidth;
+            const dy = (e.clientY - this.drag.startY) / this.canvas.clientHeight;
+            this.crop = this.constrain(this.resizeCrop(this.drag.crop, this.drag.handle, dx, dy), this.drag.handle);
+            this.positionBox();
+        });
+        const endDrag = () => this.drag = null;
+        this.box.addEventListener('pointerup', endDrag);
+        this.box.addEventListener('pointercancel', endDrag);
+
+        window.addEventListener('resize', () => this.positionBox());
+    }
+
+    get isOpen() {
+        return !this.element.classList.contains('hidden');
+    }
+
+    /**
+     * Shows the modal in its loading state.
+     * @param {string} title
+     */
+    open(title) {
+        this.title.textContent = title;
+        this.setImage(null);
+        this.element.classList.remove('hidden');
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.element.classList.add('hidden');
+        this.drag = null;
+        this.setImage(null);
+        this.onClose();
+    }
+
+    /**
+     * @param {ImageBitmap|{ error: string }|null} image - Upright preview; null while rendering
+     * @param {object} [edit] - The image's current edit
+     * @param {number} [edit.straighten]
+     * @param {{ x: number, y: number, width: number, height: number }|null} [edit.crop]
+     */
+    setImage(image, { straighten = 0, crop = null } = {}) {
+        if (this.image && this.image.close) this.image.close();
+        this.image = image && !image.error ? image : null;
+        this.stage.classList.toggle('loading', !this.image);
+        this.status.textContent = !image ? 'Rendering…' : (image.error || '');
+        this.status.classList.toggle('error', !!(image && image.error));
+        this.box.classList.toggle('hidden', !this.image);
+        if (!this.image) return;
+
+        this.ratioSelect.value = '';
+        this.crop = crop ? { ...crop } : { ...FULL_CROP };
+        this.setStraighten(straighten);
+    }
+
+    setStraighten(angle) {
+        this.straighten = Number.isFinite(angle) ? Math.round(Math.min(45, Math.max(-45, angle)) * 10) / 10 : 0;
+        this.angleSlider.value = this.straighten;
+        this.angleInput.value = this.straighten;
+        // The straightened image changes shape, so a locked ratio has to be re-applied
+        this.crop = this.constrain(this.crop, 'move');
+        this.render();
+    }
+
+    /**
+     * Draws the straightened, auto-cropped image, as the pipeline will.
+     */
+    render() {
+        if (!this.image) return;
+        const { width, height } = this.image;
+        const frame = getStraightenedSize(width, height, this.straighten);
+        this.canvas.width = Math.max(1, Math.round(frame.width));
+        this.canvas.height = Math.max(1, Math.round(frame.height));
+        const ctx = this.canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.translate(this.canvas.width / 2, this.canvas.height / 2);
+        ctx.rotate((this.straighten * Math.PI) / 180);
+        ctx.drawImage(this.image, -width / 2, -height / 2);
+        this.positionBox();
+    }
+
+    positionBox() {
+        if (!this.image) return;
+        const { offsetLeft, offsetTop, clientWidth, clientHeight } = this.canvas;
+        this.box.style.left = `${offsetLeft + this.crop.x * clientWidth}px`;
+        this.box.style.top = `${offsetTop + this.crop.y * clientHeight}px`;
+        this.box.style.width = `${this.crop.width * clientWidth}px`;
+        this.box.style.height = `${this.crop.height * clientHeight}px`;
+    }
+
+    /**
+     * Moves the box, or the edges next to a corner handle, by dx/dy (0-1 of the image).
+     */
+    resizeCrop(crop, handle, dx, dy) {
+        if (handle === 'move') return { ...crop, x: crop.x + dx, y: crop.y + dy };
+        let left = crop.x;
+        let top = crop.y;
+        let right = crop.x + crop.width;
+        let bottom = crop.y + crop.height;
+        if (handle.includes('w')) left = Math.min(left + dx, right - MIN_CROP);
+        if (handle.includes('e')) right = Math.max(right + dx, left + MIN_CROP);
+        if (handle.includes('n')) top = Math.min(top + dy, bottom - MIN_CROP);
+        if (handle.includes('s')) bottom = Math.max(bottom + dy, top + MIN_CROP);
+        return { x: left, y: top, width: right - left, height: bottom - top };
+    }
+
+    /**
+     * Keeps a crop inside the image, at least MIN_CROP in size and at the locked ratio.
+     * A resize keeps the corner opposite the handle in place; anything else keeps the center.
+     * @param {{ x: number, y: number, width: number, height: number }} crop
+     * @param {string} handle - 'move', 'nw', 'ne', 'sw' or 'se'
+     */
+    constrain(crop, handle) {
+        let { x, y, width, height } = crop;
+        const ratio = this.getLockedRatio();
+        if (ratio) {
+            // ratio is width/height in pixels; the crop is in 0-1 of a non-square image
+            const frame = getStraightenedSize(this.image.width, this.image.height, this.straighten);
+            const aspect = (ratio * frame.height) / frame.width;
+            const centerX = x + width / 2;
+            const centerY = y + height / 2;
+            if (handle === 'move') {
+                // Same area, new shape
+                const area = width * height;
+                width = Math.sqrt(area * aspect);
+                height = width / aspect;
+            } else {
+                height = width / aspect;
+            }
+            const fit = Math.min(1, 1 / width, 1 / height);
+            width *= fit;
+            height *= fit;
+            if (handle === 'move') {
+                x = centerX - width / 2;
+                y = centerY - height / 2;
+            } else {
+                if (handle.includes('w')) x = crop.x + crop.width - width;
+                if (handle.includes('n')) y = crop.y + crop.height - height;
+            }
+        }
+        width = Math.min(1, Math.max(MIN_CROP, width));
+        height = Math.min(1, Math.max(MIN_CROP, height));
+        if (handle === 'move' || ratio) {
+            x = Math.min(1 - width, Math.max(0, x));
+            y = Math.min(1 - height, Math.max(0, y));
+        } else {
+            // A free resize stops at the edges instead of pushing the box
+            const right = Math.min(1, x + width);
+            const bottom = Math.min(1, y + height);
+            x = Math.max(0, x);
+            y = Math.max(0, y);
+            width = right - x;
+            height = bottom - y;
+        }
+        return { x, y, width, height };
+    }
+
+    /**
+     * @returns {number|null} Width/height of the locked ratio, null for a free crop
+     */
+    getLockedRatio() {
+        const value = this.ratioSelect.value;
+        if (!value) return null;
+        if (value === 'original') return this.image.width / this.image.height;
+        const [w, h] = value.split(':').map(Number);
+        return w / h;
+    }
+}
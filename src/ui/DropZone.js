@@ -1,3 +1,17 @@
+import JSZip from 'jszip';
+import { ImageDecoder } from '../core/ImageDecoder.js';
+
+// Files never worth listing from folders and archives
+const IGNORED_NAMES = /^(\..*|Thumbs\.db|desktop\.ini)$/i;
+
+/**
+ * Collects input files from the file picker, drag and drop (files, folders, ZIP archives)
+ * and the clipboard, and hands them to onFilesSelected as { file, relativePath } entries.
+ * relativePath is the path inside a dropped folder or archive, null for loose files.
+ *
+ * Loose files are passed on as they are, so unsupported ones are listed with an error.
+ * From folders and archives only images are taken; other contents are skipped.
+ */
 export class DropZone {
     constructor(elementId, fileInputId, onFilesSelected) {
         this.element = document.getElementById(elementId);
@@ -15,7 +29,7 @@ export class DropZone {
 
         this.input.addEventListener('change', (e) => {
             if (e.target.files.length) {
-                this.onFilesSelected(Array.from(e.target.files));
+                this.emit(Array.from(e.target.files).map(file => ({ file, relativePath: null })));
                 this.input.value = ''; // Reset
             }
         });
@@ -34,13 +48,183 @@ export class DropZone {
         this.element.addEventListener('drop', (e) => {
             e.preventDefault();
             this.element.classList.remove('drag-over');
-            if (e.dataTransfer.files.length) {
-                // filter images by type or extension (fallback for Windows MIME mapping issues)
-                const files = Array.from(e.dataTransfer.files).filter(f => 
-                    f.type.startsWith('image/') || /\.(jpe?g|png)$/i.test(f.name)
-                );
-                this.onFilesSelected(files);
+            // The item list is only readable during the event, so entries are taken synchronously
+            const pending = this.getDroppedEntries(e.dataTransfer);
+            if (pending.length) this.emit(pending);
+        });
+
+        // Ctrl+V / Cmd+V anywhere except text fields
+        document.addEventListener('paste', (e) => {
+            const target = e.target;
+            if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+            const files = Array.from(e.clipboardData ? e.clipboardData.files : [])
+                .map((file, index) => ({ file: nameClipboardFile(file, index), relativePath: null }));
+            if (files.length === 0) return;
+            e.preventDefault();
+            this.emit(files);
+        });
+    }
+
+    /**
+     * Turns a drop into a list of entries or promises of entry lists, one per dropped item.
+     * Directories use the File System Access handle where available, else webkitGetAsEntry.
+     * @param {DataTransfer} dataTransfer
+     * @returns {Array<{ file: File, relativePath: null }|Promise<Array<{ file: File, relativePath: string|null }>>>}
+     */
+    getDroppedEntries(dataTransfer) {
+        const items = Array.from(dataTransfer.items || []).filter(item => item.kind === 'file');
+        if (items.length === 0) {
+            return Array.from(dataTransfer.files).map(file => ({ file, relativePath: null }));
+        }
+
+        return items.map(item => {
+            if (typeof item.getAsFileSystemHandle === 'function') {
+                const file = item.getAsFile();
+                return item.getAsFileSystemHandle().then(handle => (handle && handle.kind === 'directory'
+                    ? readDirectoryHandle(handle, handle.name)
+                    : [{ file, relativePath: null }]));
             }
+            const entry = typeof item.webkitGetAsEntry === 'function' ? item.webkitGetAsEntry() : null;
+            if (entry && entry.isDirectory) return readDirectoryEntry(entry);
+            return { file: item.getAsFile(), relativePath: null };
         });
     }
+
+    /**
+     * Resolves folders, expands ZIP archives and passes everything on in drop order.
+     * A dropped item that can't be read (a folder without permission, a file that went away)
+     * is skipped with a warning; the rest of the drop still comes through.
+     * @param {Array<object|Promise<object[]>>} pending - See getDroppedEntries
+     */
+    async emit(pending) {
+        const entries = [];
+        for (const result of await Promise.allSettled(pending)) {
+            if (result.status === 'rejected') {
+                console.warn('Could not read a dropped item:', result.reason);
+                continue;
+            }
+            for (const entry of [].concat(result.value)) {
+                if (!entry.file) continue;
+                try {
+                    if (await isZip(entry.file)) {
+                        entries.push(...await readZip(entry.file, entry.relativePath));
+                        continue;
+                    }
+                } catch (err) {
+                    console.warn(`Could not read ZIP ${entry.file.name}:`, err);
+                }
+                entries.push(entry); // Listed as unsupported if it isn't an image
+            }
+        }
+        if (entries.length) this.onFilesSelected(entries);
+    }
+}
+
+/**
+ * Reads a folder recursively through the File System Access API.
+ * @param {FileSystemDirectoryHandle} handle
+ * @param {string} path - Relative path of the folder, starting with its own name
+ * @returns {Promise<Array<{ file: File, relativePath: string }>>}
+ */
+async function readDirectoryHandle(handle, path) {
+    const entries = [];
+    for await (const child of handle.values()) {
+        if (IGNORED_NAMES.test(child.name)) continue;
+        const childPath = `${path}/${child.name}`;
+        if (child.kind === 'directory') {
+            entries.push(...await readDirectoryHandle(child, childPath));
+        } else {
+            entries.push(...await keepImagesAndArchives([{ file: await child.getFile(), relativePath: childPath }]));
+        }
+    }
+    return entries;
+}
+
+/**
+ * Reads a folder recursively through the older FileSystemEntry API.
+ * @param {FileSystemDirectoryEntry} directory
+ * @returns {Promise<Array<{ file: File, relativePath: string }>>}
+ */
+async function readDirectoryEntry(directory) {
+    const reader = directory.createReader();
+    const children = [];
+    // readEntries returns the listing in batches until it returns an empty one
+    for (;;) {
+        const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (batch.length === 0) break;
+        children.push(...batch);
+    }
+
+    const entries = [];
+    for (const child of children) {
+        if (IGNORED_NAMES.test(child.name)) continue;
+        if (child.isDirectory) {
+            entries.push(...await readDirectoryEntry(child));
+        } else {
+            const file = await new Promise((resolve, reject) => child.file(resolve, reject));
+            entries.push(...await keepImagesAndArchives([{ file, relativePath: child.fullPath.replace(/^\//, '') }]));
+        }
+    }
+    return entries;
+}
+
+/**
+ * Expands a ZIP archive into its images. Paths inside the archive are kept below a
+ * folder named after it; nested archives are not expanded.
+ * @param {File} archive
+ * @param {string|null} archivePath - Where the archive itself was found
+ * @returns {Promise<Array<{ file: File, relativePath: string }>>}
+ */
+async function readZip(archive, archivePath) {
+    const zip = await JSZip.loadAsync(archive);
+    const folder = (archivePath || archive.name).replace(/\.zip$/i, '');
+    const entries = [];
+
+    for (const entry of Object.values(zip.files)) {
+        const name = entry.name.split('/').pop();
+        if (entry.dir || entry.name.startsWith('__MACOSX/') || IGNORED_NAMES.test(name)) continue;
+
+        const blob = await entry.async('blob');
+        const format = await ImageDecoder.identify(blob);
+        if (!format) continue;
+
+        // Archive entries have no type; the pipeline relies on it for PNG/JPEG handling
+        const file = new File([blob], name, { type: ImageDecoder.getMimeType(format), lastModified: entry.date.getTime() });
+        entries.push({ file, relativePath: `${folder}/${entry.name}` });
+    }
+
+    if (entries.length === 0) console.info(`No images found in ${archive.name}`);
+    return entries;
+}
+
+/**
+ * Filters folder contents down to images and ZIP archives.
+ */
+async function keepImagesAndArchives(entries) {
+    const kept = [];
+    for (const entry of entries) {
+        if (await isZip(entry.file) || await ImageDecoder.identify(entry.file)) kept.push(entry);
+    }
+    return kept;
+}
+
+/**
+ * ZIP archives by name or type and signature. Other ZIP-based formats (.docx, .epub, .apk)
+ * are not archives to expand.
+ */
+async function isZip(file) {
+    const named = /\.zip$/i.test(file.name) || /^(application\/(x-)?zip(-compressed)?|multipart\/x-zip)$/i.test(file.type);
+    if (!named) return false;
+    const head = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+    return head[0] === 0x50 && head[1] === 0x4b && head[2] === 0x03 && head[3] === 0x04; // "PK\3\4"
+}
+
+/**
+ * Pasted screenshots are all called "image.png"; a timestamp keeps them apart.
+ */
+function nameClipboardFile(file, index) {
+    if (file.name && file.name !== 'image.png') return file;
+    const ext = (file.type.split('/')[1] || 'png').replace('jpeg', 'jpg');
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    return new File([file], `pasted-${stamp}${index ? `-${index + 1}` : ''}.${ext}`, { type: file.type, lastModified: Date.now() });
 }
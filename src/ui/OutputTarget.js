@@ -0,0 +1,218 @@
+import { ZipWriter } from '../core/ZipWriter.js';
+import { splitExtension } from '../core/FileNaming.js';
+
+// Temporary ZIPs in the origin private file system start with this
+const TEMP_ZIP_PREFIX = 'image-fix-batch-';
+
+// Set once a temporary ZIP could not be opened, e.g. when private browsing blocks storage
+let streamingFailed = false;
+
+// Where a batch is written. Every target takes files as they finish processing:
+// - write(path, blob) stores one file ('/'-separated path)
+// - close() finishes the batch and returns the file to download, if any
+// - abort() discards what can be discarded after a cancelled or failed batch
+// - count is the number of files written so far
+
+/**
+ * Writes each file into a folder the user picked, through the File System Access API.
+ * Files already in the folder are never overwritten: new ones get a _2, _3, ... suffix.
+ */
+export class FolderTarget {
+    static isSupported() {
+        return typeof window.showDirectoryPicker === 'function';
+    }
+
+    /**
+     * Asks for the folder. The picker needs the user activation of the click, so this
+     * must be the first thing the click handler awaits.
+     * @returns {Promise<FolderTarget|null>} null when the user cancels the picker
+     */
+    static async pick() {
+        try {
+            return new FolderTarget(await window.showDirectoryPicker({ id: 'image-fix-output', mode: 'readwrite' }));
+        } catch (err) {
+            if (err.name === 'AbortError') return null;
+            throw err;
+        }
+    }
+
+    constructor(root) {
+        this.root = root;
+        this.folders = new Map(); // Subfolder handles by path
+        this.count = 0;
+    }
+
+    async write(path, blob) {
+        const parts = path.split('/');
+        const name = parts.pop();
+        const folder = await this.getFolder(parts);
+        const handle = await folder.getFileHandle(await this.findFreeName(folder, name), { create: true });
+        const writable = await handle.createWritable();
+        try {
+            await writable.write(blob);
+            await writable.close();
+        } catch (err) {
+            await writable.abort().catch(() => {});
+            throw err;
+        }
+        this.count++;
+    }
+
+    async close() {
+        return null; // Everything is on disk already
+    }
+
+    async abort() {
+        // Files written before the batch stopped are kept
+    }
+
+    async getFolder(parts) {
+        let folder = this.root;
+        for (let i = 0; i < parts.length; i++) {
+            const path = parts.slice(0, i + 1).join('/');
+            if (!this.folders.has(path)) {
+                this.folders.set(path, await folder.getDirectoryHandle(parts[i], { create: true }));
+            }
+            folder = this.folders.get(path);
+        }
+        return folder;
+    }
+
+    async findFreeName(folder, name) {
+        const { base, ext } = splitExtension(name);
+        let candidate = name;
+        for (let n = 2; await exists(folder, candidate); n++) {
+            candidate = `${base}_${n}${ext ? `.${ext}` : ''}`;
+        }
+        return candidate;
+    }
+}
+
+/**
+ * Streams the batch into a ZIP as files finish. The archive is written to a temporary file
+ * in the origin private file system when the browser can write there, so memory use stays
+ * flat whatever the batch size. Otherwise it is assembled from the result blobs themselves,
+ * without the copy an in-memory ZIP library makes.
+ */
+export class ZipTarget {
+    /**
+     * Whether ZIPs can be streamed to the origin private file system. When not, the whole
+     * archive is held in memory until it is downloaded.
+     * @returns {boolean}
+     */
+    static canStream() {
+        return !streamingFailed
+            && !!navigator.storage && typeof navigator.storage.getDirectory === 'function'
+            && typeof FileSystemFileHandle !== 'undefined'
+            && typeof FileSystemFileHandle.prototype.createWritable === 'function';
+    }
+
+    /**
+     * @param {string} zipName - Download name
+     * @returns {Promise<ZipTarget>}
+     */
+    static async create(zipName) {
+        const temp = await openTempFile().catch((err) => {
+            console.warn('Private file system unavailable, building the ZIP in memory:', err);
+            return null;
+        });
+        if (!temp) streamingFailed = true;
+        return new ZipTarget(zipName, temp);
+    }
+
+    constructor(zipName, temp) {
+        this.zipName = zipName;
+        this.temp = temp; // { folder, name, handle, writable } or null
+        this.parts = [];
+        this.zip = new ZipWriter(temp ? (data) => temp.writable.write(data) : (data) => this.parts.push(data));
+        this.count = 0;
+    }
+
+    /**
+     * @returns {boolean} Whether the archive is held in memory rather than streamed to disk
+     */
+    get inMemory() {
+        return !this.temp;
+    }
+
+    async write(path, blob) {
+        await this.zip.add(path, blob);
+        this.count++;
+    }
+
+    /**
+     * @returns {Promise<{ blob: Blob, name: string }|null>} null when no file made it in
+     */
+    async close() {
+        if (this.count === 0) {
+            await this.abort();
+            return null;
+        }
+        await this.zip.close();
+        if (!this.temp) return { blob: new Blob(this.parts, { type: 'application/zip' }), name: this.zipName };
+        await this.temp.writable.close();
+        return { blob: await this.temp.handle.getFile(), name: this.zipName };
+    }
+
+    async abort() {
+        this.parts = [];
+        if (!this.temp) return;
+        await this.temp.writable.abort().catch(() => {});
+        await this.temp.folder.removeEntry(this.temp.name).catch(() => {});
+    }
+}
+
+/**
+ * Holds the only file of a one-image batch, which is downloaded as is rather than zipped.
+ */
+export class SingleFileTarget {
+    constructor() {
+        this.file = null;
+        this.count = 0;
+    }
+
+    async write(path, blob) {
+        this.file = { blob, name: path.split('/').pop() };
+        this.count = 1;
+    }
+
+    async close() {
+        return this.file;
+    }
+
+    async abort() {
+        this.file = null;
+    }
+}
+
+/**
+ * Creates a temporary ZIP file in the origin private file system. Archives of earlier
+ * batches are deleted here rather than after their download, which still reads from them.
+ * @returns {Promise<object|null>} null when the browser can't write files there
+ */
+async function openTempFile() {
+    if (!navigator.storage || typeof navigator.storage.getDirectory !== 'function') return null;
+    const folder = await navigator.storage.getDirectory();
+    for await (const name of folder.keys()) {
+        if (name.startsWith(TEMP_ZIP_PREFIX)) await folder.removeEntry(name).catch(() => {});
+    }
+
+    const name = `${TEMP_ZIP_PREFIX}${Date.now()}.zip`;
+    const handle = await folder.getFileHandle(name, { create: true });
+    if (typeof handle.createWritable !== 'function') {
+        await folder.removeEntry(name);
+        return null;
+    }
+    return { folder, name, handle, writable: await handle.createWritable() };
+}
+
+async function exists(folder, name) {
+    try {
+        await folder.getFileHandle(name);
+        return true;
+    } catch (err) {
+        if (err.name === 'NotFoundError') return false;
+        if (err.name === 'TypeMismatchError') return true; // A folder of that name
+        throw err;
+    }
+}
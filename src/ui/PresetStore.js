@@ -0,0 +1,110 @@
+import { validatePreset, validateSettings } from '../core/Presets.js';
+
+const PRESETS_KEY = 'image-fix:presets';
+const LAST_USED_KEY = 'image-fix:last-settings';
+
+/**
+ * Named presets and the last-used settings in localStorage.
+ * Storage can be unavailable (private browsing, quota, disabled cookies); the app then
+ * keeps working with in-memory presets and a warning in the console.
+ */
+export class PresetStore {
+    constructor(storage = getLocalStorage()) {
+        this.storage = storage;
+        this.presets = this.loadPresets();
+    }
+
+    /**
+     * @returns {Array<{ name: string, settings: object }>} Sorted by name
+     */
+    list() {
+        return this.presets.slice().sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    get(name) {
+        return this.presets.find(preset => preset.name.toLowerCase() === name.toLowerCase()) || null;
+    }
+
+    /**
+     * Adds a preset, replacing one with the same name (ignoring case).
+     * @param {{ name: string, settings: object }} preset
+     * @returns {boolean} true when an existing preset was replaced
+     */
+    save(preset) {
+        const valid = validatePreset(preset);
+        const replaced = !!this.get(valid.name);
+        this.presets = this.presets.filter(p => p.name.toLowerCase() !== valid.name.toLowerCase());
+        this.presets.push(valid);
+        this.write(PRESETS_KEY, this.presets);
+        return replaced;
+    }
+
+    remove(name) {
+        this.presets = this.presets.filter(p => p.name.toLowerCase() !== name.toLowerCase());
+        this.write(PRESETS_KEY, this.presets);
+    }
+
+    /**
+     * @returns {{ preset: string|null, settings: object }|null} null when nothing valid is stored
+     */
+    loadLastUsed() {
+        const stored = this.read(LAST_USED_KEY);
+        if (!stored) return null;
+        try {
+            return { preset: typeof stored.preset === 'string' ? stored.preset : null, settings: validateSettings(stored.settings) };
+        } catch (err) {
+            console.warn('Ignoring stored settings:', err.message);
+            return null;
+        }
+    }
+
+    saveLastUsed(settings, preset) {
+        this.write(LAST_USED_KEY, { preset, settings });
+    }
+
+    /**
+     * Reads the stored presets, dropping any that no longer validate.
+     */
+    loadPresets() {
+        const stored = this.read(PRESETS_KEY);
+        if (!Array.isArray(stored)) return [];
+        return stored.flatMap((preset, index) => {
+            try {
+                return [validatePreset(preset, `presets[${index}]`)];
+            } catch (err) {
+                console.warn('Ignoring stored preset:', err.message);
+                return [];
+            }
+        });
+    }
+
+    read(key) {
+        if (!this.storage) return null;
+        try {
+            const text = this.storage.getItem(key);
+            return text ? JSON.parse(text) : null;
+        } catch (err) {
+            console.warn(`Could not read ${key} from storage:`, err);
+            return null;
+        }
+    }
+
+    write(key, value) {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+        } catch (err) {
+            console.warn(`Could not write ${key} to storage:`, err);
+        }
+    }
+}
+
+// Accessing localStorage itself throws when storage is blocked
+function getLocalStorage() {
+    try {
+        return window.localStorage;
+    } catch (err) {
+        console.warn('localStorage is not available:', err);
+        return null;
+    }
+}
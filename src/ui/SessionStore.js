@@ -0,0 +1,120 @@
+const DB_NAME = 'image-fix';
+const DB_VERSION = 1;
+const FILES_STORE = 'files'; // { id, file, relativePath } by item id
+const SESSION_STORE = 'session'; // The item list, under SESSION_KEY
+const SESSION_KEY = 'items';
+// Stored lists of another version are ignored
+const SESSION_VERSION = 1;
+
+/**
+ * The loaded files and their per-image edits in IndexedDB, so a batch survives a reload or
+ * crash. Files are written once, when they first appear in a saved list; every save after
+ * that only rewrites the list of ids and overrides.
+ * Without IndexedDB (private browsing, blocked storage) saves and loads do nothing, with a
+ * warning in the console.
+ */
+export class SessionStore {
+    constructor() {
+        this.db = null; // Promise of the database, opened on first use
+        this.storedIds = new Set(); // Ids in the files store
+        this.saving = Promise.resolve(); // Saves run one after another
+    }
+
+    /**
+     * @returns {Promise<Array<{ id: number, file: File, relativePath: string|null, overrides: object }>>}
+     *   In list order; empty when nothing is stored
+     */
+    async load() {
+        try {
+            const db = await this.open();
+            const tx = db.transaction([FILES_STORE, SESSION_STORE], 'readonly');
+            const [files, session] = await Promise.all([
+                request(tx.objectStore(FILES_STORE).getAll()),
+                request(tx.objectStore(SESSION_STORE).get(SESSION_KEY))
+            ]);
+            this.storedIds = new Set(files.map(record => record.id));
+            if (!session || session.version !== SESSION_VERSION) return [];
+
+            const byId = new Map(files.map(record => [record.id, record]));
+            return session.items.filter(({ id }) => byId.has(id)).map(({ id, overrides }) => ({
+                id,
+                file: byId.get(id).file,
+                relativePath: byId.get(id).relativePath,
+                overrides
+            }));
+        } catch (err) {
+            console.warn('Could not read the saved session:', err);
+            return [];
+        }
+    }
+
+    /**
+     * Replaces the stored session with these items. Files no longer listed are deleted.
+     * @param {Array<{ id: number, file: File, relativePath: string|null, overrides: object }>} items
+     * @returns {Promise<void>}
+     */
+    save(items) {
+        this.saving = this.saving.then(() => this.write(items));
+        return this.saving;
+    }
+
+    clear() {
+        return this.save([]);
+    }
+
+    async write(items) {
+        try {
+            const db = await this.open();
+            const tx = db.transaction([FILES_STORE, SESSION_STORE], 'readwrite');
+            const files = tx.objectStore(FILES_STORE);
+            const ids = new Set(items.map(item => item.id));
+            for (const { id, file, relativePath } of items) {
+                if (!this.storedIds.has(id)) files.put({ id, file, relativePath });
+            }
+            for (const id of this.storedIds) {
+                if (!ids.has(id)) files.delete(id);
+            }
+            tx.objectStore(SESSION_STORE).put({
+                version: SESSION_VERSION,
+                items: items.map(({ id, overrides }) => ({ id, overrides }))
+            }, SESSION_KEY);
+            await done(tx);
+            this.storedIds = ids;
+        } catch (err) {
+            // Usually the storage quota: the session is kept as it was
+            console.warn('Could not save the session:', err);
+        }
+    }
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') throw new Error('IndexedDB is not available');
+                const open = indexedDB.open(DB_NAME, DB_VERSION);
+                open.onupgradeneeded = () => {
+                    open.result.createObjectStore(FILES_STORE, { keyPath: 'id' });
+                    open.result.createObjectStore(SESSION_STORE);
+                };
+                open.onsuccess = () => resolve(open.result);
+                open.onerror = () => reject(open.error);
+                open.onblocked = () => reject(new Error('The session database is open in an older version of the app'));
+            });
+        }
+        return this.db;
+    }
+}
+
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function done(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
@@ -6,5 +6,9 @@ export default defineConfig({
   build: {
     outDir: 'dist',
     assetsDir: 'assets'
+  },
+  // Module workers, so the HEIC/TIFF decoders can be loaded on demand inside them
+  worker: {
+    format: 'es'
   }
 });